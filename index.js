@@ -1,30 +1,237 @@
 import { ethers } from 'ethers';
 import axios from 'axios';
 import fs from 'fs/promises';
-import { existsSync } from 'fs';
+import { existsSync, appendFileSync, mkdirSync, readFileSync, renameSync, rmSync, statSync } from 'fs';
 import chalk from 'chalk';
 import { v4 as uuidv4 } from 'uuid';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join, resolve } from 'path';
+import { createInterface } from 'readline';
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from 'crypto';
+import http from 'http';
 import { HttpsProxyAgent } from 'https-proxy-agent';
 import { SocksProxyAgent } from 'socks-proxy-agent';
 import Table from 'cli-table3';
+import cron from 'node-cron';
+import dotenv from 'dotenv';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Path Definitions
-const ACCOUNTS_PATH = join(__dirname, 'accounts.json');
+dotenv.config({ path: join(__dirname, '.env') });
+
+// Path Definitions. SIPAL_DATA_DIR moves the account and state files elsewhere (e.g. a Docker volume)
+const DATA_DIR = process.env.SIPAL_DATA_DIR ? resolve(process.env.SIPAL_DATA_DIR) : __dirname;
+const ACCOUNTS_PATH = join(DATA_DIR, 'accounts.json');
 const CONFIG_PATH = join(__dirname, 'config.json');
-const WALLET_DB_PATH = join(__dirname, 'wallet_db.json');
+const WALLET_DB_PATH = join(DATA_DIR, 'wallet_db.json');
+const KEYSTORE_PATH = join(DATA_DIR, 'keystore.json');
+const SESSIONS_PATH = join(DATA_DIR, 'tokens.json');
 
 // --- LOAD CONFIG ---
+// Layers, last wins: built-in defaults < config.json < profiles[--profile | SIPAL_PROFILE | "profile"]
+// < env overrides SIPAL__<path>__<key> (e.g. SIPAL__bscConfig__rpcUrl). .env is read via dotenv first (above).
+
+const CONFIG_DEFAULTS = {
+    retryAttempts: 5,
+    retryDelay: 3000,
+    retryMaxDelayMs: 60000,
+    txRetryAttempts: 3,
+    timeouts: { httpMs: 60000, rpcMs: 10000, txSendMs: 30000, txRetryDelayMs: 5000, notifyMs: 10000 },
+    delays: { afterCreateMs: 2000, farmStepMs: 2000, betweenAccountsMs: 2000 },
+    keystore: { scryptN: 131072 }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and scalars are replaced
+function deepMerge(base, override) {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        out[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+    }
+    return out;
+}
+
+function applyEnvOverrides(config, env) {
+    for (const [name, raw] of Object.entries(env)) {
+        if (!name.startsWith('SIPAL__')) continue;
+        const path = name.slice('SIPAL__'.length).split('__');
+        let value;
+        try { value = JSON.parse(raw); } catch (e) { value = raw; } // numbers/booleans/JSON, else plain string
+        let node = config;
+        for (const key of path.slice(0, -1)) node = isPlainObject(node[key]) ? node[key] : (node[key] = {});
+        node[path[path.length - 1]] = value;
+    }
+    return config;
+}
+
+function resolveConfig(fileConfig, { profile, env = process.env } = {}) {
+    // Cloned so the result never shares nested objects with the file or the defaults
+    const file = structuredClone(fileConfig);
+    const name = profile || env.SIPAL_PROFILE || file.profile || null;
+    let config = deepMerge(structuredClone(CONFIG_DEFAULTS), file);
+    if (name) {
+        const profiles = file.profiles || {};
+        if (!isPlainObject(profiles[name])) throw new Error(`Unknown profile "${name}" (available: ${Object.keys(profiles).join(', ') || 'none'})`);
+        config = deepMerge(config, profiles[name]);
+        // A profile on another chain never inherits the base chain's contract address
+        const bsc = profiles[name].bscConfig || {};
+        if (bsc.chainId !== undefined && bsc.chainId !== file.bscConfig?.chainId && !('agentContract' in bsc)) delete config.bscConfig.agentContract;
+    }
+    config.profile = name;
+    return applyEnvOverrides(config, env);
+}
+
+const CONFIG_CHECKS = {
+    url: [(v) => typeof v === 'string' && /^https?:\/\/\S+$/.test(v), 'must be an http(s) URL'],
+    path: [(v) => typeof v === 'string' && v.startsWith('/'), 'must be a path starting with /'],
+    address: [(v) => typeof v === 'string' && ethers.isAddress(v), 'must be a 0x contract address'],
+    int: [(v) => Number.isInteger(v), 'must be an integer'],
+    pow2: [(v) => Number.isInteger(v) && v > 1 && (v & (v - 1)) === 0, 'must be a power of 2'],
+    number: [(v) => typeof v === 'number' && Number.isFinite(v), 'must be a number'],
+    string: [(v) => typeof v === 'string', 'must be a string'],
+    boolean: [(v) => typeof v === 'boolean', 'must be true or false'],
+    cron: [(v) => typeof v === 'string' && (v === '' || cron.validate(v)), 'must be a valid cron expression (or "")'],
+    clock: [(v) => typeof v === 'string' && /^([01]?\d|2[0-3]):[0-5]\d$/.test(v), 'must be a time "HH:MM"'],
+    timezone: [(v) => {
+        try { return typeof v === 'string' && Boolean(new Intl.DateTimeFormat('en-US', { timeZone: v })); } catch (e) { return false; }
+    }, 'must be an IANA time zone such as "UTC" or "Asia/Jakarta"']
+};
+
+const ENDPOINT_KEYS = ['loginWallet', 'authWallet', 'createRequest', 'createRepositories', 'verifyDailyTask', 'farmTask', 'farm', 'finishTask', 'userInfo', 'overallStats', 'leaderboard'];
+
+// [path, check, { required, min, max, oneOf }]; absent (undefined/null) optional keys are skipped
+const CONFIG_SCHEMA = [
+    ['baseUrl', 'url', { required: true }],
+    ...ENDPOINT_KEYS.map(key => [`endpoints.${key}`, 'path', { required: true }]),
+    ['bscConfig.rpcUrl', 'url'],
+    ['bscConfig.chainId', 'int', { required: true, min: 1 }],
+    ['bscConfig.agentContract', 'address'],
+    ['retryAttempts', 'int', { min: 1 }],
+    ['retryDelay', 'int', { min: 0 }],
+    ['retryMaxDelayMs', 'int', { min: 0 }],
+    ['txRetryAttempts', 'int', { min: 1 }],
+    ['loopInterval', 'int', { required: true, min: 60000 }],
+    ['concurrency', 'int', { min: 1 }],
+    ['accountTimeoutMs', 'int', { min: 1000 }],
+    ['historyLimit', 'int', { min: 1 }],
+    ['resumeMaxAttempts', 'int', { min: 1 }],
+    ...['httpMs', 'rpcMs', 'txSendMs', 'txRetryDelayMs', 'notifyMs'].map(key => [`timeouts.${key}`, 'int', { min: 0 }]),
+    ...['afterCreateMs', 'farmStepMs', 'betweenAccountsMs'].map(key => [`delays.${key}`, 'int', { min: 0 }]),
+    ['schedule.cron', 'cron'],
+    ['schedule.timezone', 'timezone', { allowEmpty: true }],
+    ['schedule.retryDelayMs', 'int', { min: 0 }],
+    ['schedule.maxTimerMs', 'int', { min: 1000 }],
+    ['dailyReset.enabled', 'boolean'],
+    ['dailyReset.resetTime', 'clock'],
+    ['dailyReset.timezone', 'timezone'],
+    ['dailyReset.jitterMs', 'int', { min: 0 }],
+    ['dailyReset.fromServer', 'boolean'],
+    ['statusApi.enabled', 'boolean'],
+    ['statusApi.host', 'string'],
+    ['statusApi.port', 'int', { min: 0, max: 65535 }],
+    ['notifications.failureThreshold', 'int', { min: 0 }],
+    ['rpc.maxBlockAgeSec', 'int', { min: 1 }],
+    ['rpc.maxLatencyMs', 'int', { min: 1 }],
+    ['rpc.requestTimeoutMs', 'int', { min: 100 }],
+    ['rpc.cooldownMs', 'int', { min: 0 }],
+    ['rpc.receiptQuorum', 'int', { min: 1 }],
+    ['session.cache', 'boolean'],
+    ['session.fallbackTtlMs', 'int', { min: 60000 }],
+    ['session.refreshMarginMs', 'int', { min: 0 }],
+    ['shutdown.graceMs', 'int', { min: 0 }],
+    ['keystore.scryptN', 'pow2', { min: 1024 }],
+    ['circuitBreaker.enabled', 'boolean'],
+    ['circuitBreaker.accountThreshold', 'int', { min: 1 }],
+    ['circuitBreaker.fleetThreshold', 'int', { min: 1 }],
+    ['circuitBreaker.cooldownMs', 'int', { min: 1000 }],
+    ['confirmation.enabled', 'boolean'],
+    ['confirmation.serverChecks', 'int', { min: 1 }],
+    ['confirmation.serverCheckDelayMs', 'int', { min: 0 }],
+    ['logging.level', 'string', { oneOf: ['debug', 'info', 'warn', 'error'] }],
+    ['logging.format', 'string', { oneOf: ['pretty', 'json'] }],
+    ['logging.file.enabled', 'boolean'],
+    ['logging.file.path', 'string'],
+    ['logging.file.format', 'string', { oneOf: ['json', 'text'] }],
+    ['logging.file.level', 'string', { oneOf: ['debug', 'info', 'warn', 'error'] }],
+    ['logging.file.maxSizeMb', 'number', { min: 0.01 }],
+    ['logging.file.maxFiles', 'int', { min: 1 }],
+    ['gasPolicy.maxGasPriceGwei', 'number', { min: 0 }],
+    ['gasPolicy.minBalanceBnb', 'number', { min: 0 }],
+    ['gasPolicy.maxSpendPerRunBnb', 'number', { min: 0 }],
+    ['gasPolicy.maxSpendPerDayBnb', 'number', { min: 0 }],
+    ['gasPolicy.fallbackGasLimit', 'int', { min: 21000 }],
+    ['pendingTx.waitTimeoutMs', 'int', { min: 1000 }],
+    ['pendingTx.pollIntervalMs', 'int', { min: 100 }],
+    ['pendingTx.replaceMode', 'string', { oneOf: ['speedup', 'cancel'] }],
+    ['pendingTx.gasBumpPercent', 'number', { min: 10 }],
+    ['pendingTx.maxReplacements', 'int', { min: 0 }],
+    ['pendingTx.droppedAfterPolls', 'int', { min: 1 }]
+];
+
+// Returns every problem as "path: message" so they can all be fixed in one go
+function validateConfig(config) {
+    const errors = [];
+    for (const [path, check, { required, min, max, oneOf, allowEmpty } = {}] of CONFIG_SCHEMA) {
+        const value = path.split('.').reduce((node, key) => node?.[key], config);
+        if (value === undefined || value === null || (allowEmpty && value === '')) {
+            if (required) errors.push(`${path}: is required`);
+            continue;
+        }
+        const [valid, message] = CONFIG_CHECKS[check];
+        if (!valid(value)) errors.push(`${path}: ${message} (got ${JSON.stringify(value)})`);
+        else if (min !== undefined && value < min) errors.push(`${path}: must be >= ${min} (got ${value})`);
+        else if (max !== undefined && value > max) errors.push(`${path}: must be <= ${max} (got ${value})`);
+        else if (oneOf && !oneOf.includes(value)) errors.push(`${path}: must be one of ${oneOf.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+
+    const contract = config.bscConfig?.agentContract;
+    if (contract === undefined || contract === null) {
+        errors.push(config.profile
+            ? `bscConfig.agentContract: is required for profile "${config.profile}" (chain ${config.bscConfig?.chainId}): set profiles.${config.profile}.bscConfig.agentContract or SIPAL__bscConfig__agentContract`
+            : 'bscConfig.agentContract: is required');
+    }
+
+    const rpcUrls = config.bscConfig?.rpcUrls;
+    if (rpcUrls !== undefined && (!Array.isArray(rpcUrls) || !rpcUrls.every(CONFIG_CHECKS.url[0]))) {
+        errors.push(`bscConfig.rpcUrls: must be a list of http(s) URLs (got ${JSON.stringify(rpcUrls)})`);
+    } else if (!config.bscConfig?.rpcUrl && !rpcUrls?.length) {
+        errors.push('bscConfig.rpcUrl: is required (or list endpoints in bscConfig.rpcUrls)');
+    }
+
+    const { custom = [], plugins = [] } = config.tasks || {};
+    if (!Array.isArray(custom)) errors.push('tasks.custom: must be a list');
+    for (const [i, def] of (Array.isArray(custom) ? custom : []).entries()) {
+        taskProblems(def).forEach(problem => errors.push(`tasks.custom[${i}]${isPlainObject(def) ? '.' : ': '}${problem}`));
+    }
+    if (!Array.isArray(plugins) || !plugins.every(p => typeof p === 'string' && p)) errors.push('tasks.plugins: must be a list of file paths');
+
+    const sinks = config.notifications?.sinks;
+    if (sinks !== undefined && !Array.isArray(sinks)) errors.push('notifications.sinks: must be a list');
+    for (const [i, sink] of (Array.isArray(sinks) ? sinks : []).entries()) {
+        const at = `notifications.sinks[${i}]`;
+        if (!SINK_TYPES[sink?.type]) {
+            errors.push(`${at}.type: must be one of ${Object.keys(SINK_TYPES).join(', ')}`);
+            continue;
+        }
+        const unknown = (sink.events || []).filter(e => !NOTIFY_EVENTS.includes(e));
+        if (unknown.length) errors.push(`${at}.events: unknown event(s) ${unknown.join(', ')}`);
+        if (sink.enabled === false) continue;
+        if (sink.type === 'webhook' && !CONFIG_CHECKS.url[0](sink.url)) errors.push(`${at}.url: must be an http(s) URL`);
+        if (sink.type === 'telegram' && (!sink.botToken || !sink.chatId)) errors.push(`${at}: botToken and chatId are required`);
+    }
+    return errors;
+}
+
 let CONFIG = {};
 try {
     const configFile = await fs.readFile(CONFIG_PATH, 'utf8');
-    CONFIG = JSON.parse(configFile);
+    CONFIG = resolveConfig(JSON.parse(configFile), { profile: getArg(process.argv, '--profile') });
 } catch (error) {
-    console.error(chalk.red('❌ Error loading config.json. Please ensure it exists.'));
+    console.error(chalk.red(`❌ Error loading config.json: ${error.code === 'ENOENT' ? 'file not found. Please ensure it exists.' : error.message}`));
     process.exit(1);
 }
 
@@ -66,6 +273,13 @@ const FUNCTION_SELECTORS = {
     SUBMIT_REQUEST: '0xc9a5fadf'     // (uint256, string)
 };
 
+// Stand-in request/agent ID for dry runs (real IDs only come from the create* endpoints)
+const DRY_RUN_ID = 1;
+
+function buildCalldata(selector, types, values) {
+    return selector + ethers.AbiCoder.defaultAbiCoder().encode(types, values).slice(2);
+}
+
 const TITLES = [
     "exploring the future of decentralized", "blockchain technology is fascinating", "excited about web3 possibilities",
     "learning more about crypto daily", "another great day in web3 space", "the potential here is incredible",
@@ -93,11 +307,293 @@ const USER_AGENTS = [
     "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/144.0.0.0 Safari/537.36"
 ];
 
+// --- TASK REGISTRY ---
+// Each daily task the campaign hands out: the verifyDailyTask `flag` that marks it done, the API call that creates
+// it and hands out an ID, and the on-chain call (selector + ABI types) that records that ID. runDailyTasks(),
+// the dry run and the resume queue only go through TASKS, so a new campaign task is one more definition:
+//   key, label, flag, endpoint (CONFIG.endpoints key or /path), method = 'post',
+//   params() -> random inputs, generated once and kept with the queued record   | body: JSON template ("$title", ...)
+//   body(params) -> API payload                                                   |
+//   id(data) -> ID from the response's `data`                                     | idPath: "id" (dotted path)
+//   selector, types, values(id, params) -> call arguments                         | args: ["$id", "<body field>", ...]
+// Config entries (tasks.custom) and plugins (tasks.plugins, modules exporting one definition or a list) may use
+// either column; the right-hand one is plain JSON.
+const TASKS = {};
+const TASK_KEY = /^[a-z][a-z0-9_-]*$/;
+const TASK_METHODS = ['get', 'post', 'put'];
+
+// Generators available to JSON body templates
+const TASK_GENERATORS = {
+    $title: () => getRandomItem(TITLES),
+    $content: () => getRandomContent(),
+    $agentName: () => getRandomAgentName(),
+    $description: () => getRandomItem(AGENT_DESCRIPTIONS)
+};
+
+const BUILTIN_TASKS = [
+    {
+        key: 'request', label: 'Request', flag: 'is_create_request', endpoint: 'createRequest',
+        params: () => ({ title: getRandomItem(TITLES) }),
+        body: (p) => ({ title: p.title, content: getRandomContent(), is_mobile: false }),
+        id: (data) => data?.id,
+        selector: FUNCTION_SELECTORS.SUBMIT_REQUEST, types: ['uint256', 'string'], values: (id, p) => [id, p.title]
+    },
+    {
+        key: 'agent', label: 'Agent', flag: 'is_create_agent', endpoint: 'createRepositories',
+        params: () => ({ name: getRandomAgentName(), description: getRandomItem(AGENT_DESCRIPTIONS) }),
+        body: (p) => ({ name: p.name, tag: [0], description: p.description }),
+        id: (data) => data?.id,
+        selector: FUNCTION_SELECTORS.SUBMIT_AGENT, types: ['uint256', 'string', 'string'], values: (id, p) => [id, p.name, p.description]
+    }
+];
+
+function fillTemplate(value) {
+    if (typeof value === 'string' && TASK_GENERATORS[value]) return TASK_GENERATORS[value]();
+    if (Array.isArray(value)) return value.map(fillTemplate);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillTemplate(v)]));
+    return value;
+}
+
+function templateGenerators(value) {
+    if (typeof value === 'string') return value.startsWith('$') ? [value] : [];
+    if (Array.isArray(value)) return value.flatMap(templateGenerators);
+    if (isPlainObject(value)) return Object.values(value).flatMap(templateGenerators);
+    return [];
+}
+
+// Every problem with a definition, in either form; empty when it can be registered
+function taskProblems(def) {
+    if (!isPlainObject(def)) return ['must be an object'];
+    const problems = [];
+    if (typeof def.key !== 'string' || !TASK_KEY.test(def.key)) problems.push('key: must be lowercase letters, digits, _ or - (e.g. "dataset")');
+    else if (def.key === 'farm') problems.push('key: "farm" is reserved for farm tasks');
+    if (typeof def.flag !== 'string' || !def.flag) problems.push('flag: must name the verifyDailyTask field, e.g. "is_create_dataset"');
+    if (typeof def.endpoint !== 'string' || !(def.endpoint.startsWith('/') || ENDPOINT_KEYS.includes(def.endpoint))) {
+        problems.push('endpoint: must be a path starting with / or a key of endpoints');
+    }
+    if (def.method !== undefined && !TASK_METHODS.includes(def.method)) problems.push(`method: must be one of ${TASK_METHODS.join(', ')}`);
+    if (typeof def.selector !== 'string' || !/^0x[0-9a-fA-F]{8}$/.test(def.selector)) problems.push('selector: must be a 4-byte hex selector such as "0xc9a5fadf"');
+
+    const types = Array.isArray(def.types) ? def.types : [];
+    if (!Array.isArray(def.types) || types.length === 0) problems.push('types: must be a non-empty list of ABI types');
+    for (const type of types) {
+        try { ethers.ParamType.from(type); } catch (e) { problems.push(`types: "${type}" is not an ABI type`); }
+    }
+
+    if (typeof def.params !== 'function') {
+        if (!isPlainObject(def.body)) problems.push('body: must be an object (or give params()/body() functions)');
+        const unknown = templateGenerators(def.body || {}).filter(g => !TASK_GENERATORS[g]);
+        if (unknown.length) problems.push(`body: unknown generator(s) ${unknown.join(', ')} (available: ${Object.keys(TASK_GENERATORS).join(', ')})`);
+    } else if (typeof def.body !== 'function') {
+        problems.push('body: must be a function when params() is');
+    }
+    if (def.id !== undefined && typeof def.id !== 'function') problems.push('id: must be a function (use idPath in JSON)');
+    if (def.idPath !== undefined && (typeof def.idPath !== 'string' || !def.idPath)) problems.push('idPath: must be a dotted path such as "id"');
+    if (typeof def.values !== 'function') {
+        if (!Array.isArray(def.args)) problems.push('args: must list one entry per type ("$id" or a body field)');
+        else if (def.args.length !== types.length) problems.push(`args: ${def.args.length} entries for ${types.length} types`);
+        else if (isPlainObject(def.body)) {
+            const missing = def.args.filter(a => a !== '$id' && !(a in def.body));
+            if (missing.length) problems.push(`args: ${missing.join(', ')} not in body`);
+        }
+    }
+    return problems;
+}
+
+// Normalizes a definition (function or JSON form) and adds it to TASKS; keys must be unique
+function registerTask(def) {
+    const problems = taskProblems(def);
+    if (problems.length) throw new Error(`Task ${JSON.stringify(def?.key ?? '?')}: ${problems.join('; ')}`);
+    if (TASKS[def.key]) throw new Error(`Task "${def.key}" is already registered`);
+
+    const idPath = (def.idPath || 'id').split('.');
+    const spec = {
+        key: def.key,
+        label: def.label || def.key,
+        flag: def.flag,
+        endpoint: def.endpoint,
+        method: def.method || 'post',
+        params: typeof def.params === 'function' ? def.params : () => fillTemplate(def.body),
+        body: typeof def.params === 'function' ? def.body : (p) => p,
+        id: def.id || ((data) => idPath.reduce((node, key) => node?.[key], data)),
+        selector: def.selector.toLowerCase(),
+        types: [...def.types],
+        values: def.values || ((id, p) => def.args.map(a => (a === '$id' ? id : p[a])))
+    };
+    TASKS[spec.key] = spec;
+    return spec;
+}
+
+// Config tasks first, then plugin modules (paths relative to this directory). Returns the added keys.
+async function loadTasks(tasksConfig = {}) {
+    const added = [];
+    for (const def of tasksConfig.custom || []) added.push(registerTask(def).key);
+    for (const path of tasksConfig.plugins || []) {
+        let module;
+        try {
+            module = await import(pathToFileURL(resolve(__dirname, path)).href);
+        } catch (e) {
+            throw new Error(`Task plugin ${path}: ${e.message}`);
+        }
+        const defs = [module.default ?? module.tasks].flat().filter(Boolean);
+        if (defs.length === 0) throw new Error(`Task plugin ${path}: export a task definition (or a list of them) as default`);
+        for (const def of defs) added.push(registerTask(def).key);
+    }
+    return added;
+}
+
+function taskEndpoint(spec) {
+    return CONFIG.endpoints[spec.endpoint] ?? spec.endpoint;
+}
+
+// "Request: DONE ✅ | Agent: NOT DONE ❌" from a verifyDailyTask payload
+function describeDailyStatus(daily) {
+    return Object.values(TASKS).map(spec => `${spec.label}: ${daily?.[spec.flag] ? 'DONE ✅' : 'NOT DONE ❌'}`).join(' | ');
+}
+
+BUILTIN_TASKS.forEach(registerTask);
+
+// --- LOGGING ---
+// Every entry carries time, level, account index and address. Output goes to the console (pretty or
+// JSON lines) and optionally to a size-rotated file; all of it passes through redact() first.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const TYPE_LEVELS = { debug: 'debug', info: 'info', wait: 'info', success: 'info', warn: 'warn', error: 'error' };
+
+const ACCOUNT_ADDRESSES = new Map(); // account index -> address, filled by FourBSCClient
+const SECRETS = new Set();           // exact values never to be written (keys, passphrase, bot tokens)
+
+function registerSecret(value) {
+    if (!value || String(value).length < 8) return;
+    SECRETS.add(String(value));
+    if (/^0x[0-9a-f]{64}$/i.test(value)) SECRETS.add(String(value).slice(2));
+}
+
+// Patterns for secrets we can't know up front: auth headers, JWTs, 65-byte signatures,
+// secret-looking JSON/query fields and credentials embedded in proxy URLs
+const REDACTIONS = [
+    [/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]'],
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[REDACTED]'],
+    [/\b0x[0-9a-f]{130}\b/gi, '[REDACTED]'],
+    [/("?\b(?:private_?key|signature|token|authorization|passphrase|password)"?\s*[:=]\s*"?)[^\s",}&]+/gi, '$1[REDACTED]'],
+    [/(\w+:\/\/)[^\s:@/]+:[^\s@/]+@/g, '$1[REDACTED]@']
+];
+
+function redact(text) {
+    let out = String(text);
+    for (const secret of SECRETS) out = out.split(secret).join('[REDACTED]');
+    for (const [pattern, replacement] of REDACTIONS) out = out.replace(pattern, replacement);
+    return out;
+}
+
+// Appends synchronously (nothing is lost on a crash) and rotates file -> file.1 -> ... -> file.<maxFiles>
+class RotatingFile {
+    constructor(path, maxBytes, maxFiles) {
+        this.path = path;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        mkdirSync(dirname(path), { recursive: true });
+        this.size = existsSync(path) ? statSync(path).size : 0;
+    }
+
+    write(line) {
+        const data = line + '\n';
+        const bytes = Buffer.byteLength(data);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) this.rotate();
+        appendFileSync(this.path, data, { mode: 0o600 });
+        this.size += bytes;
+    }
+
+    rotate() {
+        rmSync(`${this.path}.${this.maxFiles}`, { force: true });
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            if (existsSync(`${this.path}.${i}`)) renameSync(`${this.path}.${i}`, `${this.path}.${i + 1}`);
+        }
+        renameSync(this.path, `${this.path}.1`);
+        this.size = 0;
+    }
+}
+
+class Logger {
+    constructor(options) {
+        this.buffers = new Map(); // accounts running in parallel log into their own buffer, flushed as one block
+        this.detached = new Set(); // accounts whose timed-out run is still winding down: file only, never the console
+        this.configure(options);
+    }
+
+    // CONFIG.logging: { level, format: pretty|json, file: { enabled, path, format: json|text, level, maxSizeMb, maxFiles } }
+    configure({ level = 'info', format = 'pretty', file } = {}) {
+        this.level = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+        this.format = format;
+        this.file = null;
+        if (file?.enabled) {
+            const path = resolve(__dirname, file.path || 'logs/bot.log');
+            this.file = new RotatingFile(path, (file.maxSizeMb || 10) * 1024 * 1024, file.maxFiles || 5);
+            this.fileFormat = file.format || 'json';
+            this.fileLevel = LOG_LEVELS[file.level] ?? this.level;
+        }
+    }
+
+    write(account, message, type = 'info') {
+        const level = TYPE_LEVELS[type] || 'info';
+        const entry = {
+            time: new Date().toISOString(), level,
+            account: account ?? null, address: ACCOUNT_ADDRESSES.get(account) ?? null,
+            msg: redact(message)
+        };
+
+        if (this.file && LOG_LEVELS[level] >= this.fileLevel) {
+            this.file.write(this.fileFormat === 'json' ? JSON.stringify(entry) : Logger.plain(entry));
+        }
+        if (LOG_LEVELS[level] < this.level || this.detached.has(account)) return;
+        const line = this.format === 'json' ? JSON.stringify(entry) : Logger.pretty(entry, type);
+        const buffer = this.buffers.get(account);
+        if (buffer) buffer.push(line);
+        else console.log(line);
+    }
+
+    static plain({ time, level, account, address, msg }) {
+        return `${time} ${level.toUpperCase().padEnd(5)} ${account !== null ? `[Acc ${account} ${address ?? '-'}]` : '[Bot]'} ${msg}`;
+    }
+
+    // Enhanced Logging per Sipal Standard
+    static pretty({ time, account, address, msg }, type) {
+        const who = account !== null ? `[Acc ${account}${address ? ` ${address.slice(0, 6)}…${address.slice(-4)}` : ''}]` : '[Bot]';
+        const prefix = `${chalk.gray(new Date(time).toLocaleTimeString())} ${who}`;
+        switch (type) {
+            case 'success': return `${chalk.green(prefix)} ${chalk.green(msg)}`;
+            case 'error': return `${chalk.red(prefix)} ${chalk.red(msg)}`;
+            case 'warn': return `${chalk.yellow(prefix)} ${chalk.yellow(msg)}`;
+            case 'wait': return `${chalk.cyan(prefix)} ${chalk.cyan(msg)}`;
+            case 'debug': return `${chalk.gray(prefix)} ${chalk.gray(msg)}`;
+            default: return `${chalk.white(prefix)} ${msg}`;
+        }
+    }
+}
+
+const LOGGER = new Logger();
+
+// accountIndex null = bot-level message
+function log(accountIndex, message, type = 'info') { LOGGER.write(accountIndex, message, type); }
+
+function bufferLogs(accountIndex) { LOGGER.buffers.set(accountIndex, []); }
+
+function flushLogs(accountIndex) {
+    const buffer = LOGGER.buffers.get(accountIndex);
+    LOGGER.buffers.delete(accountIndex);
+    if (buffer?.length) console.log(buffer.join('\n'));
+}
+
 // --- UTILITIES ---
 function getRandomItem(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
 async function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
 function generateTid() { return `${Date.now()}-${uuidv4()}`; }
 
+// Value following a --flag on the command line (undefined when absent)
+function getArg(args, name) {
+    const idx = args.indexOf(name);
+    return idx !== -1 ? args[idx + 1] : undefined;
+}
+
 async function runWithTimeout(promise, ms, errorMsg) {
     let timer;
     const timeout = new Promise((_, reject) => {
@@ -106,16 +602,18 @@ async function runWithTimeout(promise, ms, errorMsg) {
     return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
-// Enhanced Logging per Sipal Standard
-function log(accountIndex, message, type = 'info') {
-    const prefix = `[Acc ${accountIndex}]`;
-    switch (type) {
-        case 'success': console.log(`${chalk.green(prefix)} ${chalk.green(message)}`); break;
-        case 'error': console.log(`${chalk.red(prefix)} ${chalk.red(message)}`); break;
-        case 'warn': console.log(`${chalk.yellow(prefix)} ${chalk.yellow(message)}`); break;
-        case 'wait': console.log(`${chalk.cyan(prefix)} ${chalk.cyan(message)}`); break;
-        default: console.log(`${chalk.white(prefix)} ${message}`);
-    }
+// Runs worker(item, index) over items with at most `limit` in flight; results keep input order
+async function runPool(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await worker(items[i], i);
+        }
+    });
+    await Promise.all(runners);
+    return results;
 }
 
 function getRandomContent() {
@@ -127,383 +625,2552 @@ function getRandomAgentName() {
     return `${getRandomItem(AGENT_PREFIXES)}${getRandomItem(AGENT_SUFFIXES)}${Math.floor(Math.random() * 1000)}`;
 }
 
+// List endpoints return either a bare array or a wrapped list depending on campaign phase
+function extractList(data) {
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.list)) return data.list;
+    if (Array.isArray(data?.tasks)) return data.tasks;
+    return [];
+}
+
+function isFarmTaskDone(task) {
+    return Boolean(task?.is_finish || task?.is_done || task?.status === 1);
+}
+
+// First numeric field found under any of the given keys (API naming differs per endpoint)
+function pickNumber(obj, keys) {
+    for (const key of keys) {
+        const value = obj?.[key];
+        if (value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))) return Number(value);
+    }
+    return null;
+}
+
+function formatDelta(before, after) {
+    if (before === null || after === null) return '';
+    const delta = after - before;
+    return delta === 0 ? '' : ` (${delta > 0 ? '+' : ''}${delta})`;
+}
+
+// Adds up per-account stats into one fleet row for the grand summary
+function aggregateStats(results) {
+    const total = { points: 0, delta: 0, bestRank: null, requests: 0, agents: 0, accounts: 0 };
+    for (const { stats, statsBefore } of results) {
+        if (!stats) continue;
+        total.accounts++;
+        total.points += stats.points ?? 0;
+        total.requests += stats.requests ?? 0;
+        total.agents += stats.agents ?? 0;
+        if (stats.points !== null && statsBefore?.points != null) total.delta += stats.points - statsBefore.points;
+        if (stats.rank !== null && (total.bestRank === null || stats.rank < total.bestRank)) total.bestRank = stats.rank;
+    }
+    return total;
+}
+
 // --- DB MANAGER ---
+// wallet_db.json layout: { version, accounts: { [address]: { nextRun, lastRun } }, runs: [runRecord], cycle? }
+// Older files were a flat { [address]: nextRunTime } map and are migrated on load (those records get `migrated: true`).
+const DB_VERSION = 2;
+const HISTORY_CSV_COLUMNS = ['id', 'account', 'address', 'startedAt', 'endedAt', 'durationSec', 'status', 'pointsBefore', 'pointsAfter', 'tasks', 'ids', 'txHashes', 'gasUsed', 'feeBnb', 'errors'];
+
+function csvEscape(value) {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
 class WalletDB {
-    constructor() {
-        this.data = {};
-        this.load();
+    constructor(path = WALLET_DB_PATH) {
+        this.path = path;
+        this.data = { version: DB_VERSION, accounts: {}, runs: [] };
+        this.writeQueue = Promise.resolve();
     }
-    async load() {
+
+    // The running bot keeps the DB in memory and rewrites the whole file on every save, so writes from a
+    // second process would be lost. Every writer (the bot, `run`, `reset-cooldown`) takes <db>.lock first.
+    async lock() {
+        if (!this.path) return;
+        const lockPath = `${this.path}.lock`;
         try {
-            if (existsSync(WALLET_DB_PATH)) {
-                const content = await fs.readFile(WALLET_DB_PATH, 'utf8');
-                this.data = JSON.parse(content);
+            await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+            const holder = WalletDB.lockHolder(this.path);
+            if (holder && holder !== process.pid) {
+                throw new Error(`wallet_db.json is in use by a running bot (pid ${holder}). Stop the bot first, then try again.`);
             }
-        } catch (e) { this.data = {}; }
+            await fs.writeFile(lockPath, String(process.pid)); // left behind by a process that died
+        }
+        this.locked = true;
     }
-    async save() {
-        try { await fs.writeFile(WALLET_DB_PATH, JSON.stringify(this.data, null, 2)); } catch (e) { }
+
+    unlock() {
+        if (!this.locked) return;
+        rmSync(`${this.path}.lock`, { force: true });
+        this.locked = false;
     }
-    getNextRunTime(address) { return this.data[address.toLowerCase()] || 0; }
-    updateNextRunTime(address, nextTime) {
-        this.data[address.toLowerCase()] = nextTime;
-        this.save();
+
+    // PID of the live process holding the lock, or null
+    static lockHolder(path = WALLET_DB_PATH) {
+        let pid;
+        try {
+            pid = Number(readFileSync(`${path}.lock`, 'utf8'));
+        } catch (e) {
+            return null;
+        }
+        if (!Number.isInteger(pid) || pid <= 0) return null;
+        try {
+            process.kill(pid, 0); // signal 0: existence check only
+            return pid;
+        } catch (e) {
+            return e.code === 'EPERM' ? pid : null;
+        }
     }
-}
 
-// --- API CLIENT ---
-class FourBSCClient {
-    constructor(privateKey, proxyUrl, index) {
-        this.index = index;
-        const provider = new ethers.JsonRpcProvider(BSC_CONFIG.rpcUrl);
-        this.wallet = new ethers.Wallet(privateKey, provider);
-        this.address = this.wallet.address;
-        this.proxyUrl = proxyUrl;
+    // Always use open(): callers must not query before the file is loaded
+    static async open(path) {
+        const db = new WalletDB(path);
+        await db.load();
+        return db;
+    }
 
-        this.agentContract = new ethers.Contract(BSC_CONFIG.agentContract, AGENT_ABI, this.wallet);
+    async load() {
+        if (!existsSync(this.path)) return;
+        const content = await fs.readFile(this.path, 'utf8');
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+            if (!isPlainObject(parsed)) throw new Error(`expected an object, got ${parsed === null ? 'null' : Array.isArray(parsed) ? 'an array' : typeof parsed}`);
+        } catch (e) {
+            // Keep the broken file for inspection instead of silently overwriting the history
+            const backup = `${this.path}.corrupt-${Date.now()}`;
+            await fs.rename(this.path, backup);
+            log(null, `❌ wallet_db.json is corrupt (${e.message}). Moved to ${backup}, starting fresh.`, 'error');
+            return;
+        }
 
-        // Initialize Axios with Proxy
-        this.initAxios();
+        if (parsed.version === undefined) {
+            for (const [address, nextRun] of Object.entries(parsed)) {
+                if (typeof nextRun === 'number') this.data.accounts[address.toLowerCase()] = { nextRun, migrated: true };
+            }
+            return;
+        }
+        const { cycle, serverReset } = parsed;
+        this.data = { version: DB_VERSION, accounts: parsed.accounts || {}, runs: parsed.runs || [], ...(cycle && { cycle }), ...(serverReset && { serverReset }) };
     }
 
-    initAxios() {
-        const axiosConfig = {
-            baseURL: CONFIG.baseUrl,
-            timeout: 60000, // Increased timeout
-            headers: this.generateHeaders()
-        };
+    // Writes go to a temp file and are renamed over the DB, one at a time, so a crash never leaves half a file
+    save() {
+        if (!this.path) return Promise.resolve();
+        const snapshot = JSON.stringify(this.data, null, 2);
+        this.writeQueue = this.writeQueue.catch(() => { }).then(async () => {
+            const tmp = `${this.path}.tmp`;
+            await fs.writeFile(tmp, snapshot);
+            await fs.rename(tmp, this.path);
+        });
+        return this.writeQueue;
+    }
 
-        if (this.proxyUrl) {
-            const agent = this.proxyUrl.startsWith('socks') ? new SocksProxyAgent(this.proxyUrl) : new HttpsProxyAgent(this.proxyUrl);
-            axiosConfig.httpsAgent = agent;
-            axiosConfig.httpAgent = agent;
-        }
+    account(address) {
+        const key = address.toLowerCase();
+        if (!this.data.accounts[key]) this.data.accounts[key] = { nextRun: 0 };
+        return this.data.accounts[key];
+    }
 
-        this.axios = axios.create(axiosConfig);
+    getNextRunTime(address) { return this.data.accounts[address.toLowerCase()]?.nextRun || 0; }
+
+    async updateNextRunTime(address, nextTime) {
+        this.account(address).nextRun = nextTime;
+        await this.save();
     }
 
-    generateHeaders() {
-        const ua = getRandomItem(USER_AGENTS);
-        return {
-            'Accept': 'application/json, text/plain, */*',
-            'Content-Type': 'application/json',
-            'Origin': CONFIG.baseUrl,
-            'Referer': `${CONFIG.baseUrl}/final-run`,
-            'User-Agent': ua,
-            'Connection': 'keep-alive',
-            'sec-ch-ua': '"Not(A:Brand";v="8", "Chromium";v="144", "Google Chrome";v="144"',
-            'sec-ch-ua-mobile': '?0',
-            'sec-ch-ua-platform': '"Windows"',
-            'sec-fetch-dest': 'empty',
-            'sec-fetch-mode': 'cors',
-            'sec-fetch-site': 'same-origin'
-        };
+    // Latest daily reset time reported by the server (see parseServerReset), fleet-wide
+    getServerReset() { return this.data.serverReset || null; }
+
+    async setServerReset(time) {
+        if (this.data.serverReset === time) return;
+        this.data.serverReset = time;
+        await this.save();
     }
 
-    async requestWithRetry(method, url, data = {}, options = {}, retries = 5) {
-        for (let i = 0; i < retries; i++) {
-            try {
-                // Ensure fresh TID for every request
-                const headers = { ...options.headers, tid: generateTid() };
-                const res = await this.axios({ method, url, data, ...options, headers });
+    // Submissions broadcast but not yet settled, one entry per nonce (see FourBSCClient.settlePending)
+    getPending(address) { return this.data.accounts[address.toLowerCase()]?.pending || []; }
 
-                // Check for logic error specifically for Token
-                if (res.data && (res.data.message === 'TOKEN_INVALID' || res.data.message === 'Session expired')) {
-                    log(this.index, `Token Invalid/Expired. Re-logging... (Attempt ${i + 1})`, 'warn');
-                    const loginSuccess = await this.login();
-                    if (loginSuccess) {
-                        // Retry with fresh login token (axios default auth header is updated)
-                        // but we must generate NEW TID again
-                        const newHeaders = { ...options.headers, tid: generateTid() };
-                        return await this.axios({ method, url, data, ...options, headers: newHeaders });
-                    } else {
-                        throw new Error('Re-login failed during retry');
-                    }
-                }
+    async savePending(address, entry) {
+        const account = this.account(address);
+        const { nonce, to, data, gasLimit, gasPrice, hashes, sentAt, cancelled } = entry;
+        account.pending = [...(account.pending || []).filter(p => p.nonce !== nonce), { nonce, to, data, gasLimit, gasPrice, hashes: [...hashes], sentAt, cancelled }];
+        await this.save();
+    }
 
-                return res;
-            } catch (error) {
-                const isAuthError = error.response && (error.response.status === 401 || error.response.status === 403);
-                const isNetworkError = !error.response || error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT' || error.message.includes('Proxy connection');
-
-                if (isAuthError) {
-                    log(this.index, `Auth Error (401/403). Re-logging...`, 'warn');
-                    const loginSuccess = await this.login();
-                    if (loginSuccess) {
-                        const newHeaders = { ...options.headers, tid: generateTid() };
-                        return await this.axios({ method, url, data, ...options, headers: newHeaders });
-                    }
-                    throw error;
-                }
+    async clearPending(address, nonce) {
+        const account = this.account(address);
+        account.pending = (account.pending || []).filter(p => p.nonce !== nonce);
+        await this.save();
+    }
 
-                if (i < retries - 1) {
-                    const delay = (i + 1) * 3000;
-                    log(this.index, `Request Error (${url}): ${error.message}. Retrying in ${delay / 1000}s...`, 'warn');
-                    await sleep(delay);
+    // API-created requests/agents whose on-chain submission hasn't succeeded yet
+    getUnsubmitted(address, task) {
+        const list = this.data.accounts[address.toLowerCase()]?.unsubmitted || [];
+        return task ? list.filter(r => r.task === task) : list;
+    }
 
-                    // Re-init axios on network errors to refresh proxy connection
-                    if (isNetworkError) this.initAxios();
-                } else {
-                    throw error;
-                }
-            }
-        }
+    async addUnsubmitted(address, record) {
+        const account = this.account(address);
+        account.unsubmitted = [...(account.unsubmitted || []), record];
+        await this.save();
     }
 
-    async sendTransactionWithRetry(contractFunc, args, retries = 3) {
-        for (let i = 0; i < retries; i++) {
-            try {
-                // Estimate Gas
-                let gasLimit;
-                try {
-                    gasLimit = await contractFunc.estimateGas(...args);
-                    gasLimit = (gasLimit * 120n) / 100n; // +20% buffer
-                } catch (gasError) {
-                    // Check for hard revert during estimation - usually means invalid logic/state
-                    if (gasError.code === 'CALL_EXCEPTION' || gasError.message.includes('execution reverted')) {
-                        log(this.index, `Gas Estimate Reverted: ${gasError.reason || 'No Reason'} (Check logic/state). Skipping Tx.`, 'error');
-                        return false; // Stop immediately, do not retry
-                    }
-                    log(this.index, `Gas Calc Err: ${gasError.message}. Using Default.`, 'warn');
-                    gasLimit = 500000n; // Fallback
-                }
+    async bumpUnsubmitted(address, task, id, error) {
+        const record = this.getUnsubmitted(address, task).find(r => r.id === id);
+        if (!record) return;
+        record.attempts++;
+        record.lastError = error;
+        await this.save();
+    }
 
-                // Send Tx
-                const tx = await contractFunc(...args, { gasLimit });
-                log(this.index, `Tx Sent: ${tx.hash}`, 'info');
-                await tx.wait();
-                return true;
-            } catch (error) {
-                // Hard Revert Check
-                if (error.code === 'CALL_EXCEPTION' || error.message.includes('execution reverted')) {
-                    log(this.index, `Tx Reverted: ${error.reason || 'No Reason'}. Skipping.`, 'error');
-                    return false; // Stop immediately
-                }
+    async removeUnsubmitted(address, task, id) {
+        const account = this.account(address);
+        account.unsubmitted = (account.unsubmitted || []).filter(r => !(r.task === task && r.id === id));
+        await this.save();
+    }
 
-                if (i < retries - 1) {
-                    log(this.index, `Tx Fail: ${error.message}. Retry ${i + 1}/${retries}`, 'warn');
-                    await sleep(5000);
-                } else {
-                    log(this.index, `Tx Failed after retries: ${error.message}`, 'error');
-                    return false;
-                }
-            }
-        }
-        return false;
+    async removeUnsubmittedByCalldata(address, calldata) {
+        const record = this.getUnsubmitted(address).find(r => {
+            const spec = TASKS[r.task];
+            return spec && buildCalldata(spec.selector, spec.types, spec.values(r.id, r.params)) === calldata;
+        });
+        if (record) await this.removeUnsubmitted(address, record.task, record.id);
     }
 
-    // NEW: Send raw transaction with correct function selectors
-    async sendRawTransaction(selector, paramTypes, paramValues, retries = 3) {
-        for (let i = 0; i < retries; i++) {
-            try {
-                // Encode parameters without selector
-                const abiCoder = ethers.AbiCoder.defaultAbiCoder();
-                const encodedParams = abiCoder.encode(paramTypes, paramValues);
+    async recordRun(run) {
+        const record = { id: `${run.startedAt}-${run.address.slice(2, 10).toLowerCase()}`, ...run, address: run.address.toLowerCase() };
+        this.data.runs.push(record);
 
-                // Combine selector + encoded params
-                const calldata = selector + encodedParams.slice(2); // Remove 0x from params
+        const limit = CONFIG.historyLimit || 5000;
+        if (this.data.runs.length > limit) this.data.runs.splice(0, this.data.runs.length - limit);
 
-                // Prepare transaction
-                const txRequest = {
-                    to: BSC_CONFIG.agentContract,
-                    data: calldata,
-                };
+        const account = this.account(run.address);
+        account.lastRun = { at: run.endedAt, status: run.status, pointsAfter: run.pointsAfter };
+        account.lastTxHash = run.tasks.findLast(t => t.txHash)?.txHash ?? account.lastTxHash;
+        const feeWei = run.tasks.reduce((sum, t) => sum + BigInt(t.feeWei || 0), 0n);
+        account.gasSpentWei = (BigInt(account.gasSpentWei || 0) + feeWei).toString();
+        await this.save();
+        return record;
+    }
 
-                // Estimate gas
-                let gasLimit;
-                try {
-                    // Added timeout for gas estimation (10s)
-                    gasLimit = await runWithTimeout(this.wallet.estimateGas(txRequest), 10000, 'Gas Estimate Timeout');
+    // Progress marker of the cycle in flight: { startedAt, reason, accounts: [address], done: [{ address, status }] }.
+    // Cleared when the cycle completes, so one still present at startup means the last cycle was cut short.
+    getCycle() { return this.data.cycle || null; }
+
+    async startCycle(marker) {
+        this.data.cycle = marker;
+        await this.save();
+    }
+
+    async markCycleDone(address, status) {
+        if (!this.data.cycle) return;
+        this.data.cycle.done.push({ address: address.toLowerCase(), status });
+        await this.save();
+    }
+
+    async finishCycle() {
+        delete this.data.cycle;
+        await this.save();
+    }
+
+    // Number of failed runs in a row, most recent first
+    getFailureStreak(address) {
+        const runs = this.getRuns({ address });
+        let streak = 0;
+        for (let i = runs.length - 1; i >= 0 && !runs[i].success; i--) streak++;
+        return streak;
+    }
+
+    // Fleet gas spend (wei) of all runs started at or after `time`
+    getSpentSince(time) {
+        return this.getRuns({ since: time }).reduce((sum, r) => sum + r.tasks.reduce((s, t) => s + BigInt(t.feeWei || 0), 0n), 0n);
+    }
+
+    getRuns({ address, since, until } = {}) {
+        return this.data.runs.filter(r =>
+            (!address || r.address === address.toLowerCase()) &&
+            (!since || r.startedAt >= since) &&
+            (!until || r.startedAt <= until)
+        );
+    }
+
+    static toCsv(runs) {
+        const rows = runs.map(r => {
+            const txTasks = r.tasks.filter(t => t.txHash);
+            const feeWei = txTasks.reduce((sum, t) => sum + BigInt(t.feeWei || 0), 0n);
+            return [
+                r.id, r.account, r.address, new Date(r.startedAt).toISOString(), new Date(r.endedAt).toISOString(),
+                Math.round((r.endedAt - r.startedAt) / 1000), r.status, r.pointsBefore, r.pointsAfter,
+                r.tasks.map(t => `${t.task}=${t.outcome}`).join(';'),
+                r.tasks.filter(t => t.id !== undefined).map(t => `${t.task}:${t.id}`).join(';'),
+                txTasks.map(t => t.txHash).join(';'),
+                txTasks.reduce((sum, t) => sum + (t.gasUsed || 0), 0),
+                ethers.formatEther(feeWei),
+                [r.error, ...r.tasks.map(t => t.error)].filter(Boolean).join(' | ')
+            ].map(csvEscape).join(',');
+        });
+        return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    async exportRuns(format, filter = {}, outPath = null) {
+        const runs = this.getRuns(filter);
+        const output = format === 'csv' ? WalletDB.toCsv(runs) : JSON.stringify(runs, null, 2) + '\n';
+        if (outPath) await fs.writeFile(outPath, output);
+        else process.stdout.write(output);
+        return runs.length;
+    }
+}
+
+// --- GAS POLICY ---
+// Shared by all clients of a cycle: caps gas price, fleet spend per cycle and per calendar day,
+// and keeps per-account spend for the summary. Limits come from CONFIG.gasPolicy (all optional).
+function startOfDay(time = Date.now()) {
+    const d = new Date(time);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+}
+
+class GasBudget {
+    constructor(policy = {}, spentToday = 0n) {
+        const bnb = (v) => (v ? ethers.parseEther(String(v)) : null);
+        this.maxGasPrice = policy.maxGasPriceGwei ? ethers.parseUnits(String(policy.maxGasPriceGwei), 'gwei') : null;
+        this.minBalance = bnb(policy.minBalanceBnb) ?? 0n;
+        this.runCap = bnb(policy.maxSpendPerRunBnb);
+        this.dayCap = bnb(policy.maxSpendPerDayBnb);
+        this.fallbackGasLimit = BigInt(policy.fallbackGasLimit || 300000);
+
+        this.day = startOfDay();
+        this.spentDay = spentToday;
+        this.spentRun = 0n;
+        this.reserved = 0n; // worst-case cost of txs in flight, so parallel accounts can't overshoot a cap
+        this.byAccount = new Map();
+    }
+
+    // Called at the beginning of every cycle
+    startRun() {
+        if (startOfDay() !== this.day) {
+            this.day = startOfDay();
+            this.spentDay = 0n;
+        }
+        this.spentRun = 0n;
+        this.byAccount.clear();
+    }
+
+    // Returns a reason string when a tx costing up to `costWei` would break a cap, else null
+    check(costWei) {
+        if (this.runCap !== null && this.spentRun + this.reserved + costWei > this.runCap) return 'Run Spend Cap';
+        if (this.dayCap !== null && this.spentDay + this.reserved + costWei > this.dayCap) return 'Daily Spend Cap';
+        return null;
+    }
+
+    // check() + hold the amount until release(); returns the same reason/null as check()
+    reserve(costWei) {
+        const reason = this.check(costWei);
+        if (!reason) this.reserved += costWei;
+        return reason;
+    }
+
+    release(costWei) {
+        this.reserved = this.reserved > costWei ? this.reserved - costWei : 0n;
+    }
+
+    record(address, feeWei) {
+        const key = address.toLowerCase();
+        this.spentRun += feeWei;
+        this.spentDay += feeWei;
+        this.byAccount.set(key, (this.byAccount.get(key) || 0n) + feeWei);
+    }
+
+    spentBy(address) { return this.byAccount.get(address.toLowerCase()) || 0n; }
+}
+
+// --- KEYSTORE ---
+// Private keys live in keystore.json as ethers JSON keystores (scrypt + AES), one per account.
+// Address and proxy stay readable so accounts can be listed/edited without the passphrase.
+function promptHidden(question) {
+    return new Promise(resolve => {
+        const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        let muted = false;
+        rl._writeToOutput = (str) => { if (!muted) rl.output.write(str); };
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+async function getPassphrase(confirm = false) {
+    if (process.env.SIPAL_KEYSTORE_PASSWORD) {
+        registerSecret(process.env.SIPAL_KEYSTORE_PASSWORD);
+        return process.env.SIPAL_KEYSTORE_PASSWORD;
+    }
+    if (!process.stdin.isTTY) throw new Error('No passphrase: set SIPAL_KEYSTORE_PASSWORD or run in a terminal');
+
+    const passphrase = await promptHidden('🔑 Keystore passphrase: ');
+    if (!passphrase) throw new Error('Passphrase cannot be empty');
+    if (confirm && passphrase !== await promptHidden('🔑 Confirm passphrase: ')) throw new Error('Passphrases do not match');
+    registerSecret(passphrase);
+    return passphrase;
+}
+
+async function loadKeystore() {
+    if (!existsSync(KEYSTORE_PATH)) return { version: 1, accounts: [] };
+    const store = JSON.parse(await fs.readFile(KEYSTORE_PATH, 'utf8'));
+    if (!Array.isArray(store.accounts)) throw new Error('keystore.json is malformed (missing accounts list)');
+    return store;
+}
+
+async function saveKeystore(store) {
+    await fs.writeFile(KEYSTORE_PATH, JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+// Decrypts every account once at startup; returns [{ privateKey, proxy, address }]
+async function unlockAccounts(passphrase) {
+    const store = await loadKeystore();
+    const accounts = [];
+    for (const [i, entry] of store.accounts.entries()) {
+        try {
+            const wallet = await ethers.Wallet.fromEncryptedJson(JSON.stringify(entry.keystore), passphrase);
+            accounts.push({ privateKey: wallet.privateKey, proxy: entry.proxy || '', window: entry.window, address: wallet.address });
+        } catch (e) {
+            throw new Error(`Cannot unlock account ${i + 1} (${entry.address}): ${e.message}`);
+        }
+    }
+    return accounts;
+}
+
+// Converts plaintext accounts.json into keystore.json, keeping proxies/run windows; existing entries are kept
+async function importAccounts() {
+    let plain;
+    try {
+        plain = JSON.parse(await fs.readFile(ACCOUNTS_PATH, 'utf8'));
+    } catch (e) {
+        throw new Error(`Cannot read accounts.json: ${e.message}`);
+    }
+
+    const store = await loadKeystore();
+    const passphrase = await getPassphrase(store.accounts.length === 0);
+
+    // Existing keystore must open with the same passphrase, otherwise we'd mix passphrases in one file
+    if (store.accounts.length > 0) await unlockAccounts(passphrase);
+
+    const known = new Set(store.accounts.map(a => a.address.toLowerCase()));
+    let added = 0;
+    for (const [i, acc] of plain.entries()) {
+        if (!acc.privateKey) continue;
+        const wallet = new ethers.Wallet(acc.privateKey);
+        if (known.has(wallet.address.toLowerCase())) {
+            console.log(chalk.gray(`[Import] Acc ${i + 1} ${wallet.address} already in keystore, skipped`));
+            continue;
+        }
+        console.log(chalk.cyan(`[Import] Encrypting Acc ${i + 1} ${wallet.address}...`));
+        const keystore = JSON.parse(await ethers.encryptKeystoreJson(wallet, passphrase, { scrypt: { N: CONFIG.keystore.scryptN } }));
+        store.accounts.push({ address: wallet.address, proxy: acc.proxy || '', ...(acc.window && { window: acc.window }), keystore });
+        known.add(wallet.address.toLowerCase());
+        added++;
+    }
+
+    await saveKeystore(store);
+    console.log(chalk.green(`✅ Imported ${added} account(s) into keystore.json (${store.accounts.length} total).`));
+    console.log(chalk.yellow('⚠️  Delete accounts.json (or remove its privateKey fields) now that keys are encrypted.'));
+}
+
+// Unlocks keystore.json for a run (encrypted keystore only). The same passphrase opens the session cache.
+async function loadAccounts() {
+    if (!existsSync(KEYSTORE_PATH)) throw new Error('keystore.json not found! Run `node index.js import` to encrypt accounts.json first.');
+    const passphrase = await getPassphrase();
+    const accounts = await unlockAccounts(passphrase);
+    if (accounts.length === 0) throw new Error('keystore.json has no accounts!');
+    console.log(chalk.green(`🔓 Unlocked ${accounts.length} account(s)`));
+    const sessions = CONFIG.session?.cache === false ? null : await SessionStore.open(SESSIONS_PATH, passphrase);
+    return { accounts, sessions };
+}
+
+// Accepts an account number (as listed in keystore.json, 1-based) or an address
+async function resolveAccountAddress(spec) {
+    if (ethers.isAddress(spec)) return spec.toLowerCase();
+    const store = await loadKeystore();
+    const entry = store.accounts[Number(spec) - 1];
+    if (!entry) throw new Error(`Unknown account: ${spec}`);
+    return entry.address.toLowerCase();
+}
+
+// --- SESSION CACHE ---
+// tokens.json keeps each account's JWT between runs, AES-256-GCM encrypted with a key derived (scrypt) from the
+// keystore passphrase. The address is bound as associated data, so a token can't be moved to another account.
+// Layout: { version, salt, tokens: { [address]: { expiresAt, iv, tag, data } } }
+const SESSIONS_VERSION = 1;
+
+// exp claim of a JWT in ms, or null when the token isn't a decodable JWT
+function jwtExpiry(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return Number.isFinite(payload.exp) ? payload.exp * 1000 : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+class SessionStore {
+    constructor(path, passphrase, data = {}) {
+        this.path = path;
+        this.data = { version: SESSIONS_VERSION, salt: data.salt || randomBytes(16).toString('hex'), tokens: data.tokens || {} };
+        this.key = scryptSync(passphrase, Buffer.from(this.data.salt, 'hex'), 32);
+        this.writeQueue = Promise.resolve();
+    }
+
+    static async open(path, passphrase) {
+        let data = {};
+        if (path && existsSync(path)) {
+            try {
+                data = JSON.parse(await fs.readFile(path, 'utf8'));
+            } catch (e) {
+                log(null, `tokens.json unreadable (${e.message}), sessions will be re-created`, 'warn');
+            }
+        }
+        return new SessionStore(path, passphrase, data);
+    }
+
+    // Returns { token, expiresAt } while the token is valid for at least session.refreshMarginMs more, else null.
+    // Entries encrypted under another passphrase (or tampered with) read as missing.
+    get(address) {
+        const entry = this.data.tokens[address.toLowerCase()];
+        if (!entry || entry.expiresAt - (CONFIG.session?.refreshMarginMs ?? 300000) <= Date.now()) return null;
+        try {
+            const decipher = createDecipheriv('aes-256-gcm', this.key, Buffer.from(entry.iv, 'hex'));
+            decipher.setAAD(Buffer.from(address.toLowerCase()));
+            decipher.setAuthTag(Buffer.from(entry.tag, 'hex'));
+            const token = Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+            registerSecret(token);
+            return { token, expiresAt: entry.expiresAt };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async set(address, token, expiresAt) {
+        const iv = randomBytes(12);
+        const cipher = createCipheriv('aes-256-gcm', this.key, iv);
+        cipher.setAAD(Buffer.from(address.toLowerCase()));
+        const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+        this.data.tokens[address.toLowerCase()] = { expiresAt, iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex'), data: data.toString('base64') };
+        await this.save();
+    }
+
+    async remove(address) {
+        if (!this.data.tokens[address.toLowerCase()]) return;
+        delete this.data.tokens[address.toLowerCase()];
+        await this.save();
+    }
+
+    // Same temp-file + rename scheme as WalletDB.save(), owner-only like keystore.json
+    save() {
+        if (!this.path) return Promise.resolve();
+        const snapshot = JSON.stringify(this.data, null, 2);
+        this.writeQueue = this.writeQueue.catch(() => { }).then(async () => {
+            const tmp = `${this.path}.tmp`;
+            await fs.writeFile(tmp, snapshot, { mode: 0o600 });
+            await fs.rename(tmp, this.path);
+        });
+        return this.writeQueue;
+    }
+}
+
+// --- RPC POOL ---
+// One provider shared by every account, spread over bscConfig.rpcUrl + bscConfig.rpcUrls. Each request goes to
+// the best endpoint and fails over on infrastructure errors; receipts can require a quorum (rpc.receiptQuorum).
+const RPC_INFRA_ERROR = /rate limit|limit exceeded|too many requests|header not found|upstream|timed? ?out|unavailable|busy/i;
+
+function rpcUrlsOf(bscConfig) {
+    return [...new Set([bscConfig.rpcUrl, ...(bscConfig.rpcUrls || [])].filter(Boolean))];
+}
+
+class RpcPool extends ethers.JsonRpcProvider {
+    constructor(urls, chainId, policy = {}) {
+        const network = ethers.Network.from(chainId);
+        // The chain is checked per endpoint by checkHealth(), so no eth_chainId round-trip per request;
+        // no response cache: pending-tx polling must never see a stale receipt/nonce
+        const options = { staticNetwork: network, batchMaxCount: 1, cacheTimeout: -1 };
+        super(urls[0], network, options);
+        this.chainId = chainId;
+        this.policy = { maxBlockAgeSec: 60, maxLatencyMs: 3000, requestTimeoutMs: 5000, cooldownMs: 30000, receiptQuorum: 1, ...policy };
+        this.endpoints = urls.map(url => {
+            const request = new ethers.FetchRequest(url);
+            request.timeout = this.policy.requestTimeoutMs;
+            // Host only: provider URLs often carry an API key in the path
+            return { label: new URL(url).host, provider: new ethers.JsonRpcProvider(request, network, options), healthy: true, chainOk: null, blockNumber: null, blockAgeSec: null, latencyMs: null, problem: null, downUntil: 0 };
+        });
+        this.active = this.endpoints[0];
+    }
+
+    // Healthy endpoints first (fastest first), then the rest as a last resort. Wrong-chain endpoints are never used.
+    candidates() {
+        const now = Date.now();
+        const rank = (e) => (e.healthy && e.downUntil <= now ? 0 : 1);
+        const latency = (e) => e.latencyMs ?? Number.MAX_SAFE_INTEGER; // unmeasured/unreachable last, in config order
+        return this.endpoints.filter(e => e.chainOk !== false).sort((a, b) => rank(a) - rank(b) || latency(a) - latency(b));
+    }
+
+    // batchMaxCount is 1, so every payload arrives on its own and can fail over independently
+    async _send(payload) {
+        if (payload.method === 'eth_getTransactionReceipt' && this.policy.receiptQuorum > 1) return [await this.receiptWithQuorum(payload)];
+        return [await this.forward(payload)];
+    }
+
+    // Transport failures and rate-limit style RPC errors move on to the next endpoint. Anything else
+    // (reverts, nonce errors, txpool full) is the node's real answer and is returned as-is.
+    async forward(payload) {
+        let infraResponse = null;
+        let lastError = new Error('No usable RPC endpoint');
+        for (const endpoint of this.candidates()) {
+            try {
+                const [response] = await endpoint.provider._send(payload);
+                if (!response?.error || !RPC_INFRA_ERROR.test(response.error.message || '')) {
+                    this.use(endpoint);
+                    return response;
+                }
+                infraResponse ??= response;
+                this.markDown(endpoint, response.error.message);
+            } catch (error) {
+                lastError = error;
+                this.markDown(endpoint, error.shortMessage || error.message);
+            }
+        }
+        if (infraResponse) return infraResponse;
+        throw lastError;
+    }
+
+    // A receipt only counts once `receiptQuorum` endpoints agree on its block and status; until then the tx reads
+    // as not mined yet. The quorum is capped at the number of endpoints currently up, so one outage can't stall it.
+    async receiptWithQuorum(payload) {
+        const candidates = this.candidates();
+        const up = candidates.filter(e => e.healthy && e.downUntil <= Date.now()).length;
+        const needed = Math.max(1, Math.min(this.policy.receiptQuorum, up));
+        const votes = new Map();
+        let answered = false;
+        let lastError = new Error('No usable RPC endpoint');
+        for (const endpoint of candidates) {
+            let response;
+            try {
+                [response] = await endpoint.provider._send(payload);
+            } catch (error) {
+                lastError = error;
+                this.markDown(endpoint, error.shortMessage || error.message);
+                continue;
+            }
+            answered = true;
+            const receipt = response?.result;
+            if (!receipt) continue;
+            const key = `${receipt.blockHash}:${receipt.status}`;
+            votes.set(key, (votes.get(key) || 0) + 1);
+            if (votes.get(key) >= needed) return response;
+        }
+        if (!answered) throw lastError;
+        if (votes.size > 0) log(null, `Receipt ${payload.params[0]} not yet confirmed by ${needed} RPC endpoints`, 'debug');
+        return { jsonrpc: '2.0', id: payload.id, result: null };
+    }
+
+    use(endpoint) {
+        if (endpoint === this.active) return;
+        log(null, `RPC switched: ${this.active.label} -> ${endpoint.label}`, 'warn');
+        METRICS.inc('sipal_rpc_failovers_total', { endpoint: endpoint.label });
+        this.active = endpoint;
+    }
+
+    markDown(endpoint, reason) {
+        endpoint.downUntil = Date.now() + this.policy.cooldownMs;
+        endpoint.problem = reason;
+        METRICS.inc('sipal_rpc_errors_total', { endpoint: endpoint.label });
+        log(null, `RPC ${endpoint.label} failed: ${reason}`, 'debug');
+    }
+
+    // Chain ID, age of the latest block and round-trip latency of every endpoint (at startup and before each cycle)
+    async checkHealth() {
+        const { maxBlockAgeSec, maxLatencyMs } = this.policy;
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            const started = Date.now();
+            try {
+                const [chainId, block] = await Promise.all([
+                    endpoint.provider.send('eth_chainId', []),
+                    endpoint.provider.send('eth_getBlockByNumber', ['latest', false])
+                ]);
+                endpoint.latencyMs = Date.now() - started;
+                endpoint.chainOk = Number(chainId) === this.chainId;
+                endpoint.blockNumber = Number(block.number);
+                endpoint.blockAgeSec = Math.max(0, Math.round(Date.now() / 1000 - Number(block.timestamp)));
+                endpoint.problem = !endpoint.chainOk ? `wrong chain ${Number(chainId)} (expected ${this.chainId})`
+                    : endpoint.blockAgeSec > maxBlockAgeSec ? `stale block (${endpoint.blockAgeSec}s old)`
+                        : endpoint.latencyMs > maxLatencyMs ? `slow (${endpoint.latencyMs}ms)` : null;
+            } catch (error) {
+                endpoint.latencyMs = null;
+                endpoint.problem = error.shortMessage || error.message;
+            }
+            endpoint.healthy = !endpoint.problem;
+            if (endpoint.healthy) endpoint.downUntil = 0;
+            METRICS.set('sipal_rpc_up', endpoint.healthy ? 1 : 0, { endpoint: endpoint.label });
+            if (endpoint.latencyMs !== null) METRICS.set('sipal_rpc_latency_ms', endpoint.latencyMs, { endpoint: endpoint.label });
+        }));
+        this.active = this.candidates()[0] || this.active;
+        return this.endpoints.map(({ label, healthy, chainOk, blockNumber, blockAgeSec, latencyMs, problem }) => ({ label, healthy, chainOk, blockNumber, blockAgeSec, latencyMs, problem }));
+    }
+
+    destroy() {
+        this.endpoints.forEach(e => e.provider.destroy());
+        super.destroy();
+    }
+}
+
+let RPC_POOL = null;
+
+// Shared by every FourBSCClient; rebuilt only when the configured endpoints change
+function getRpcPool() {
+    const urls = rpcUrlsOf(BSC_CONFIG);
+    const key = `${BSC_CONFIG.chainId}|${urls.join(',')}`;
+    if (RPC_POOL?.key !== key) {
+        RPC_POOL = new RpcPool(urls, BSC_CONFIG.chainId, CONFIG.rpc);
+        RPC_POOL.key = key;
+    }
+    return RPC_POOL;
+}
+
+// Healthy endpoints are only listed when not `quiet`; problems are always reported
+function logRpcHealth(report, quiet = false) {
+    for (const r of report) {
+        if (!r.healthy) log(null, `RPC ${r.label} unhealthy: ${r.problem}`, 'warn');
+        else if (!quiet) log(null, `RPC ${r.label} OK: block ${r.blockNumber} (${r.blockAgeSec}s old), ${r.latencyMs}ms`, 'success');
+    }
+}
+
+// --- API ERRORS ---
+// Every failure out of requestWithRetry() is an ApiError with one of these kinds:
+//   network       no response (timeout, reset, proxy)                   retried with exponential backoff
+//   rate_limited  HTTP 429, or a rate-limit code/message in the body     retried after Retry-After (else backoff)
+//   server        HTTP 5xx                                              retried with exponential backoff
+//   auth          401/403/TOKEN_INVALID that a re-login did not fix     final
+//   business      other 4xx, or a non-zero `code` in a 200 body         final: the same call gets the same answer
+const RETRYABLE_KINDS = ['network', 'rate_limited', 'server'];
+
+class ApiError extends Error {
+    constructor(kind, message, { status = null, code = null, retryAfterMs = null, url = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.status = status;
+        this.code = code;
+        this.retryAfterMs = retryAfterMs;
+        this.url = url;
+    }
+
+    get retryable() { return RETRYABLE_KINDS.includes(this.kind); }
+
+    // "business 2001", "server HTTP 503", "network"
+    get label() {
+        if (this.code !== null) return `${this.kind} ${this.code}`;
+        return this.status !== null ? `${this.kind} HTTP ${this.status}` : this.kind;
+    }
+}
+
+// Retry-After is either delta-seconds or an HTTP date; null when absent or unreadable
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Math.round(Number(value) * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function isRateLimitBody(body) {
+    return body?.code === 429 || /rate.?limit|too many/i.test(String(body?.message || ''));
+}
+
+// Axios error (or anything thrown around the call) -> ApiError
+function classifyApiError(error, url) {
+    if (error instanceof ApiError) return error;
+    const res = error.response;
+    if (!res) return new ApiError('network', error.message, { url });
+    const meta = { status: res.status, url, retryAfterMs: parseRetryAfter(res.headers?.['retry-after']) };
+    if (res.status === 429 || isRateLimitBody(res.data)) return new ApiError('rate_limited', error.message, meta);
+    if (res.status >= 500) return new ApiError('server', error.message, meta);
+    if (res.status === 401 || res.status === 403) return new ApiError('auth', error.message, meta);
+    return new ApiError('business', error.message, meta);
+}
+
+// A 2xx is a success only with an explicit `code: 0`. verifyDailyTask is the one endpoint whose body was
+// always read without looking at the code, so a body without one still passes there.
+function checkApiResponse(res, url) {
+    const code = res.data?.code;
+    if (code === 0) return res;
+    const missing = code === undefined || code === null;
+    if (missing && url === CONFIG.endpoints.verifyDailyTask) return res;
+    const meta = { status: res.status, code: missing ? null : code, url, retryAfterMs: parseRetryAfter(res.headers?.['retry-after']) };
+    const message = res.data?.message || (missing ? 'Response without a code' : `code ${code}`);
+    throw new ApiError(isRateLimitBody(res.data) ? 'rate_limited' : 'business', message, meta);
+}
+
+function isBusinessError(error) {
+    return error instanceof ApiError && error.kind === 'business';
+}
+
+// Exponential backoff from retryDelay, capped at retryMaxDelayMs; a Retry-After beyond the cap returns null
+// (give up now instead of parking the account) so the circuit breaker can take over
+function apiRetryDelay(attempt, error) {
+    const cap = CONFIG.retryMaxDelayMs ?? 60000;
+    if (error.retryAfterMs !== null) return error.retryAfterMs <= cap ? error.retryAfterMs : null;
+    return Math.min(CONFIG.retryDelay * 2 ** attempt, cap);
+}
+
+// --- CIRCUIT BREAKER ---
+// Opens for one account after `accountThreshold` consecutive API failures of the same kind (network, rate_limited,
+// server or auth), and for the whole fleet once `fleetThreshold` accounts tripped on the same network /
+// rate_limited / server problem within `cooldownMs`. An open circuit fails calls at once until it closes.
+// Business rejections are answers from a working API: they are left to the task that got them and reset the count.
+// State is in memory only: a restart starts with every circuit closed.
+class CircuitBreaker {
+    constructor(policy = {}) {
+        this.enabled = policy.enabled !== false;
+        this.accountThreshold = policy.accountThreshold ?? 3;
+        this.fleetThreshold = policy.fleetThreshold ?? 3;
+        this.cooldownMs = policy.cooldownMs ?? 15 * 60 * 1000;
+        this.accounts = new Map(); // address -> { kind, count, until, reason }
+        this.trips = [];           // recent account trips { address, kind, at }, for the fleet rule
+        this.fleet = null;         // { kind, until, reason }
+    }
+
+    // Why `address` may not call the API right now ({ scope, kind, until, reason }), or null
+    check(address, now = Date.now()) {
+        if (this.fleet && now < this.fleet.until) return { scope: 'fleet', ...this.fleet };
+        const state = this.accounts.get(address.toLowerCase());
+        if (state && now < state.until) return { scope: 'account', kind: state.kind, until: state.until, reason: state.reason };
+        return null;
+    }
+
+    success(address) {
+        const state = this.accounts.get(address.toLowerCase());
+        if (state) state.count = 0;
+    }
+
+    // Counts a failure; returns the circuit it opened, if any
+    failure(address, error, now = Date.now()) {
+        if (!this.enabled) return null;
+        if (error.kind === 'business') {
+            this.success(address);
+            return null;
+        }
+        const key = address.toLowerCase();
+        const state = this.accounts.get(key) || { until: 0 };
+        state.count = state.kind === error.kind ? state.count + 1 : 1;
+        state.kind = error.kind;
+        this.accounts.set(key, state);
+        if (state.count < this.accountThreshold) return null;
+
+        state.until = now + this.cooldownMs;
+        state.reason = `${state.count}x ${error.label}: ${error.message}`;
+        state.count = 0;
+        METRICS.inc('sipal_circuit_opened_total', { scope: 'account', kind: error.kind });
+        if (!RETRYABLE_KINDS.includes(error.kind)) return this.check(address, now);
+
+        this.trips = this.trips.filter(t => now - t.at < this.cooldownMs && t.address !== key);
+        this.trips.push({ address: key, kind: error.kind, at: now });
+        const affected = this.trips.filter(t => t.kind === error.kind).length;
+        if (affected >= this.fleetThreshold && !(this.fleet && now < this.fleet.until)) {
+            this.fleet = { kind: error.kind, until: now + this.cooldownMs, reason: `${affected} accounts hit ${error.kind} (last: ${error.message})` };
+            METRICS.inc('sipal_circuit_opened_total', { scope: 'fleet', kind: error.kind });
+        }
+        return this.check(address, now);
+    }
+
+    // Every circuit still open, fleet first, for the summary
+    open(now = Date.now()) {
+        const list = this.fleet && now < this.fleet.until ? [{ scope: 'fleet', ...this.fleet }] : [];
+        for (const [address, state] of this.accounts) {
+            if (now < state.until) list.push({ scope: 'account', address, kind: state.kind, until: state.until, reason: state.reason });
+        }
+        return list;
+    }
+}
+
+// --- API CLIENT ---
+class FourBSCClient {
+    constructor(privateKey, proxyUrl, index, { gasBudget, db, sessions = null, breaker = null, dryRun = false } = {}) {
+        this.index = index;
+        this.dryRun = dryRun; // runDailyTasks() only simulates: no create* POSTs, no broadcast
+        this.gasBudget = gasBudget || new GasBudget(CONFIG.gasPolicy);
+        this.breaker = breaker || new CircuitBreaker(CONFIG.circuitBreaker); // shared across accounts for the fleet rule
+        this.db = db || new WalletDB(null); // in-memory when no DB is shared (tests, one-off tools)
+        this.sessions = sessions; // SessionStore; without one every run logs in afresh
+        this.wallet = new ethers.Wallet(privateKey, getRpcPool());
+        this.address = this.wallet.address;
+        registerSecret(privateKey);
+        ACCOUNT_ADDRESSES.set(index, this.address);
+        this.proxyUrl = proxyUrl;
+        this.tasks = []; // per-task outcomes of the current run, persisted in the run history
+        this.reservedCost = 0n;
+        this.abortController = new AbortController(); // set by abort(); cancels in-flight API calls
+
+        this.agentContract = new ethers.Contract(BSC_CONFIG.agentContract, AGENT_ABI, this.wallet);
+
+        // Initialize Axios with Proxy
+        this.initAxios();
+    }
+
+    get aborted() { return this.abortController.signal.aborted; }
+
+    // Stops a run that was given up on (account timeout): no API call or tx broadcast starts after this,
+    // in-flight API calls are cancelled and a tx already sent is left in the DB for the next run to reconcile
+    abort(reason = 'Aborted') {
+        if (!this.aborted) this.abortController.abort(new Error(reason));
+    }
+
+    checkAborted(step, outcome = 'skipped') {
+        if (this.aborted) throw new Error(`${this.abortController.signal.reason.message}: ${step} ${outcome}`);
+    }
+
+    initAxios() {
+        const axiosConfig = {
+            baseURL: CONFIG.baseUrl,
+            timeout: CONFIG.timeouts.httpMs,
+            headers: this.generateHeaders()
+        };
+
+        if (this.proxyUrl) {
+            const agent = this.proxyUrl.startsWith('socks') ? new SocksProxyAgent(this.proxyUrl) : new HttpsProxyAgent(this.proxyUrl);
+            axiosConfig.httpsAgent = agent;
+            axiosConfig.httpAgent = agent;
+        }
+
+        this.axios = axios.create(axiosConfig);
+
+        // Keep the session when the instance is rebuilt after a network error
+        if (this.token) this.axios.defaults.headers.common['Authorization'] = `Bearer ${this.token}`;
+    }
+
+    generateHeaders() {
+        const ua = getRandomItem(USER_AGENTS);
+        return {
+            'Accept': 'application/json, text/plain, */*',
+            'Content-Type': 'application/json',
+            'Origin': CONFIG.baseUrl,
+            'Referer': `${CONFIG.baseUrl}/final-run`,
+            'User-Agent': ua,
+            'Connection': 'keep-alive',
+            'sec-ch-ua': '"Not(A:Brand";v="8", "Chromium";v="144", "Google Chrome";v="144"',
+            'sec-ch-ua-mobile': '?0',
+            'sec-ch-ua-platform': '"Windows"',
+            'sec-fetch-dest': 'empty',
+            'sec-fetch-mode': 'cors',
+            'sec-fetch-site': 'same-origin'
+        };
+    }
+
+    // Returns the response of a call that succeeded (2xx and `code: 0`, see checkApiResponse); anything else is thrown as an
+    // ApiError (see API ERRORS). Each final outcome is fed to the circuit breaker, and an open circuit fails at once.
+    async requestWithRetry(method, url, data = {}, options = {}, retries = CONFIG.retryAttempts) {
+        this.checkAborted(`${method.toUpperCase()} ${url}`);
+        const open = this.breaker.check(this.address);
+        if (open) throw new ApiError(open.kind, `Circuit open (${open.scope}): ${open.reason}`, { url });
+
+        try {
+            const res = await this.attemptRequest(method, url, data, options, retries);
+            this.breaker.success(this.address);
+            return res;
+        } catch (error) {
+            if (this.aborted) throw error; // cancelled by abort(), not an API failure
+            const apiError = classifyApiError(error, url);
+            METRICS.inc('sipal_api_errors_total', { kind: apiError.kind });
+            const tripped = this.breaker.failure(this.address, apiError);
+            if (tripped) {
+                log(this.index, `Circuit breaker open (${tripped.scope}) until ${new Date(tripped.until).toLocaleTimeString()}: ${tripped.reason}`, 'error');
+            }
+            throw apiError;
+        }
+    }
+
+    async attemptRequest(method, url, data, options, retries) {
+        // Ensure fresh TID for every request
+        const send = () => this.axios({ method, url, data, ...options, signal: this.abortController.signal, headers: { ...options.headers, tid: generateTid() } });
+
+        for (let i = 0; ; i++) {
+            try {
+                log(this.index, `${method.toUpperCase()} ${url}${i > 0 ? ` (attempt ${i + 1})` : ''}`, 'debug');
+                const res = await send();
+
+                // Check for logic error specifically for Token
+                if (res.data && (res.data.message === 'TOKEN_INVALID' || res.data.message === 'Session expired')) {
+                    log(this.index, `Token Invalid/Expired. Re-logging... (Attempt ${i + 1})`, 'warn');
+                    METRICS.inc('sipal_api_retries_total', { reason: 'token_invalid' });
+                    return checkApiResponse(await this.relogin(send, url), url);
+                }
+
+                return checkApiResponse(res, url);
+            } catch (caught) {
+                this.checkAborted(`${method.toUpperCase()} ${url}`, 'cancelled');
+                const error = classifyApiError(caught, url);
+                if (error.kind === 'auth' && error.status !== null) {
+                    log(this.index, `Auth Error (${error.status}). Re-logging...`, 'warn');
+                    METRICS.inc('sipal_api_retries_total', { reason: 'auth' });
+                    return checkApiResponse(await this.relogin(send, url), url);
+                }
+                if (!error.retryable || i >= retries - 1) throw error;
+
+                const delay = apiRetryDelay(i, error);
+                if (delay === null) {
+                    log(this.index, `${error.label} on ${url}: server asks to wait ${Math.ceil(error.retryAfterMs / 1000)}s, giving up for now`, 'warn');
+                    throw error;
+                }
+                log(this.index, `Request Error [${error.label}] (${url}): ${error.message}. Retrying in ${delay / 1000}s...`, 'warn');
+                METRICS.inc('sipal_api_retries_total', { reason: error.kind });
+                await sleep(delay);
+
+                // Re-init axios on network errors to refresh proxy connection
+                if (error.kind === 'network') this.initAxios();
+            }
+        }
+    }
+
+    // One fresh login, then the call is replayed with the new token (axios default auth header is updated)
+    async relogin(send, url) {
+        await this.dropSession();
+        if (!await this.login()) throw new ApiError('auth', `Re-login failed: ${this.lastError}`, { url });
+        return send();
+    }
+
+    async sendTransactionWithRetry(contractFunc, args, retries = CONFIG.txRetryAttempts) {
+        for (let i = 0; i < retries; i++) {
+            try {
+                // Estimate Gas
+                let gasLimit;
+                try {
+                    gasLimit = await contractFunc.estimateGas(...args);
+                    gasLimit = (gasLimit * 120n) / 100n; // +20% buffer
+                } catch (gasError) {
+                    // Check for hard revert during estimation - usually means invalid logic/state
+                    if (gasError.code === 'CALL_EXCEPTION' || gasError.message.includes('execution reverted')) {
+                        log(this.index, `Gas Estimate Reverted: ${gasError.reason || 'No Reason'} (Check logic/state). Skipping Tx.`, 'error');
+                        return false; // Stop immediately, do not retry
+                    }
+                    log(this.index, `Gas Calc Err: ${gasError.message}. Using Default.`, 'warn');
+                    gasLimit = 500000n; // Fallback
+                }
+
+                // Send Tx
+                const tx = await contractFunc(...args, { gasLimit });
+                log(this.index, `Tx Sent: ${tx.hash}`, 'info');
+                await tx.wait();
+                return true;
+            } catch (error) {
+                // Hard Revert Check
+                if (error.code === 'CALL_EXCEPTION' || error.message.includes('execution reverted')) {
+                    log(this.index, `Tx Reverted: ${error.reason || 'No Reason'}. Skipping.`, 'error');
+                    return false; // Stop immediately
+                }
+
+                if (i < retries - 1) {
+                    log(this.index, `Tx Fail: ${error.message}. Retry ${i + 1}/${retries}`, 'warn');
+                    await sleep(CONFIG.timeouts.txRetryDelayMs);
+                } else {
+                    log(this.index, `Tx Failed after retries: ${error.message}`, 'error');
+                    return false;
+                }
+            }
+        }
+        return false;
+    }
+
+    // NEW: Send raw transaction with correct function selectors
+    // Outcome of the last submission (hash, gas, error) is kept in this.lastTx for the run history
+    async sendRawTransaction(selector, paramTypes, paramValues, retries = CONFIG.txRetryAttempts) {
+        this.lastTx = { hash: null, gasUsed: null, feeWei: null, error: null, blocked: null, reverted: false };
+        for (let i = 0; i < retries; i++) {
+            try {
+                // Selector + ABI-encoded params
+                const calldata = buildCalldata(selector, paramTypes, paramValues);
+
+                // Prepare transaction
+                const txRequest = {
+                    to: BSC_CONFIG.agentContract,
+                    data: calldata,
+                };
+
+                // Estimate gas
+                let gasLimit;
+                try {
+                    gasLimit = await runWithTimeout(this.wallet.estimateGas(txRequest), CONFIG.timeouts.rpcMs, 'Gas Estimate Timeout');
                     gasLimit = (gasLimit * 120n) / 100n; // +20% buffer
                 } catch (gasError) {
+                    const fallback = this.gasBudget.fallbackGasLimit;
                     if (gasError.message === 'Gas Estimate Timeout') {
-                        log(this.index, `Gas Estimate Timed Out. Using Default 300k.`, 'warn');
-                        gasLimit = 300000n;
+                        log(this.index, `Gas Estimate Timed Out. Using Default ${fallback}.`, 'warn');
+                        gasLimit = fallback;
                     } else if (gasError.code === 'CALL_EXCEPTION' || gasError.message.includes('execution reverted')) {
                         log(this.index, `Gas Estimate Reverted: ${gasError.reason || gasError.message?.slice(0, 50) || 'Unknown'} - Check if task already done on-chain`, 'error');
+                        this.lastTx.error = `Gas Estimate Reverted: ${gasError.reason || 'Unknown'}`;
+                        this.lastTx.reverted = true;
+                        return false;
+                    } else {
+                        log(this.index, `Gas Calc Err: ${gasError.message}. Using Default ${fallback}.`, 'warn');
+                        gasLimit = fallback;
+                    }
+                }
+
+                // Never queue behind an unresolved tx: it would sit behind the stuck nonce
+                if (this.db.getPending(this.address).length > 0) {
+                    log(this.index, 'Tx Blocked: earlier tx still pending. Not sending.', 'warn');
+                    this.lastTx.error = 'Pending Tx: earlier submission not mined yet';
+                    this.lastTx.blocked = 'Pending Tx';
+                    return false;
+                }
+
+                // Gas policy: price cap, affordability and spend caps are checked before anything is signed
+                const feeData = await runWithTimeout(this.wallet.provider.getFeeData(), CONFIG.timeouts.rpcMs, 'Fee Data Timeout');
+                const gasPrice = feeData.gasPrice;
+                const blocked = await this.checkGasPolicy(gasLimit, gasPrice);
+                if (blocked) {
+                    log(this.index, `Tx Blocked: ${blocked.reason} (${blocked.detail}). Not sending.`, 'warn');
+                    this.lastTx.error = `${blocked.reason}: ${blocked.detail}`;
+                    this.lastTx.blocked = blocked.reason;
+                    return false;
+                }
+
+                // The reserved worst-case cost is held against the spend caps until this tx is settled
+                try {
+                    // Sign locally and persist before broadcasting, so a send timeout or crash can't lose track of the nonce
+                    const nonce = await runWithTimeout(this.wallet.provider.getTransactionCount(this.address, 'pending'), CONFIG.timeouts.rpcMs, 'Nonce Fetch Timeout');
+                    const entry = {
+                        nonce, to: txRequest.to, data: calldata, gasLimit: gasLimit.toString(), gasPrice: gasPrice.toString(),
+                        hashes: [], sentAt: Date.now(), cancelled: false
+                    };
+                    const hash = await this.signAndBroadcast(entry, { ...txRequest, gasLimit, gasPrice });
+                    if (!hash) throw new Error(entry.rejection); // rejected by the node, nothing in flight: safe to retry
+
+                    log(this.index, `Tx Sent: ${hash} (nonce ${nonce})`, 'info');
+                    this.lastTx.hash = hash;
+
+                    const receipt = await this.settlePending(entry);
+                    if (!receipt) {
+                        this.lastTx.error = entry.consumed ? 'Nonce used by another tx' : 'Tx Pending: not mined, will be checked next run';
+                        log(this.index, this.lastTx.error, 'warn');
+                        return false;
+                    }
+                    this.recordReceipt(receipt);
+
+                    if (entry.cancelled && receipt.to?.toLowerCase() === this.address.toLowerCase()) {
+                        log(this.index, `Tx Cancelled (nonce ${nonce} freed by ${receipt.hash}).`, 'warn');
+                        this.lastTx.error = 'Tx Cancelled';
                         return false;
+                    }
+
+                    if (receipt.status === 1) {
+                        return true;
                     } else {
-                        log(this.index, `Gas Calc Err: ${gasError.message}. Using Default 200k.`, 'warn');
-                        gasLimit = 200000n;
+                        log(this.index, `Tx Mined but Failed. Check BSCScan.`, 'error');
+                        this.lastTx.error = 'Tx Mined but Failed';
+                        this.lastTx.reverted = true;
+                        return false;
                     }
+                } finally {
+                    this.gasBudget.release(this.reservedCost);
+                    this.reservedCost = 0n;
+                }
+            } catch (error) {
+                if (this.aborted) throw error; // whatever is pending stays in the DB for reconcilePending()
+                if (error.code === 'CALL_EXCEPTION' || error.message.includes('execution reverted')) {
+                    log(this.index, `Tx Reverted: ${error.reason || 'No Reason'}. Skipping.`, 'error');
+                    if (error.receipt) this.recordReceipt(error.receipt);
+                    this.lastTx.error = `Tx Reverted: ${error.reason || 'No Reason'}`;
+                    this.lastTx.reverted = true;
+                    return false;
+                }
+
+                if (i < retries - 1) {
+                    log(this.index, `Tx Fail: ${error.message}. Retry ${i + 1}/${retries}`, 'warn');
+                    await sleep(CONFIG.timeouts.txRetryDelayMs);
+                } else {
+                    log(this.index, `Tx Failed after retries: ${error.message}`, 'error');
+                    this.lastTx.error = error.message;
+                    return false;
+                }
+            }
+        }
+        return false;
+    }
+
+    pendingPolicy() {
+        return { waitTimeoutMs: 60000, pollIntervalMs: 3000, gasBumpPercent: 15, maxReplacements: 2, droppedAfterPolls: 3, replaceMode: 'speedup', ...CONFIG.pendingTx };
+    }
+
+    // Signs `tx` with entry.nonce, records the hash as pending and broadcasts it.
+    // Returns the hash, or null when the node definitely rejected it (entry.rejection holds the reason).
+    async signAndBroadcast(entry, tx) {
+        this.checkAborted(`tx nonce ${entry.nonce}`);
+        const populated = await this.wallet.populateTransaction({ ...tx, nonce: entry.nonce, type: 0 });
+        const signed = await this.wallet.signTransaction(populated);
+        const hash = ethers.Transaction.from(signed).hash;
+
+        // Re-broadcasting a dropped tx reproduces the exact same signed payload and hash
+        const isNew = !entry.hashes.includes(hash);
+        if (isNew) entry.hashes.push(hash);
+        await this.db.savePending(this.address, entry);
+
+        try {
+            await runWithTimeout(this.wallet.provider.broadcastTransaction(signed), CONFIG.timeouts.txSendMs, 'Tx Send Timeout');
+        } catch (error) {
+            // Timeouts and "already known"/"nonce too low" mean the tx may well be out there: keep tracking it
+            const maybeSent = /timeout|already known|nonce too low|replacement/i.test(error.message);
+            if (!maybeSent) {
+                if (isNew) entry.hashes.pop();
+                entry.rejection = error.shortMessage || error.message;
+                if (entry.hashes.length > 0) await this.db.savePending(this.address, entry);
+                else await this.db.clearPending(this.address, entry.nonce);
+                return null;
+            }
+            log(this.index, `Broadcast uncertain (${error.message.slice(0, 60)}). Tracking ${hash}.`, 'warn');
+        }
+        return hash;
+    }
+
+    // Polls every hash sent for entry.nonce until one is mined (receipt), the nonce is taken by
+    // something else (null + entry.consumed), every hash has left the mempool (null + entry.dropped), timeout or abort (null).
+    // A load-balanced RPC may not know a tx it was just sent, so it only counts as dropped after droppedAfterPolls
+    // polls in a row in which no node had it
+    async waitForPending(entry, timeoutMs) {
+        const { pollIntervalMs, droppedAfterPolls } = this.pendingPolicy();
+        const provider = this.wallet.provider;
+        const deadline = Date.now() + timeoutMs;
+        entry.dropped = false;
+        let unknownPolls = 0;
+
+        while (!this.aborted) {
+            for (const hash of entry.hashes) {
+                const receipt = await provider.getTransactionReceipt(hash);
+                if (receipt) return receipt;
+            }
+
+            const minedNonce = await provider.getTransactionCount(this.address, 'latest');
+            if (minedNonce > entry.nonce) {
+                // Receipt may lag the nonce by a block on some RPCs, give it one more look
+                await sleep(pollIntervalMs);
+                for (const hash of entry.hashes) {
+                    const receipt = await provider.getTransactionReceipt(hash);
+                    if (receipt) return receipt;
+                }
+                entry.consumed = true;
+                return null;
+            }
+
+            const known = await Promise.all(entry.hashes.map(h => provider.getTransaction(h)));
+            unknownPolls = known.every(tx => !tx) ? unknownPolls + 1 : 0;
+            if (unknownPolls >= droppedAfterPolls) {
+                entry.dropped = true;
+                return null;
+            }
+
+            if (Date.now() + pollIntervalMs > deadline) return null;
+            await sleep(pollIntervalMs);
+        }
+        return null;
+    }
+
+    // Waits for a tracked tx; on timeout re-sends the same nonce at a higher gas price (speed-up)
+    // or a 0 BNB self-transfer (cancel). Clears the pending entry once the nonce is settled.
+    async settlePending(entry) {
+        const policy = this.pendingPolicy();
+        let receipt = null;
+        for (let attempt = 0; ; attempt++) {
+            // A dropped tx is re-broadcast unchanged within the same wait: that is not one of the maxReplacements
+            const deadline = Date.now() + policy.waitTimeoutMs;
+            while (true) {
+                receipt = await this.waitForPending(entry, deadline - Date.now());
+                if (receipt || entry.consumed || !entry.dropped || Date.now() >= deadline) break;
+                this.checkAborted(`re-broadcast of nonce ${entry.nonce}`);
+                await this.replacePending(entry, 'speedup');
+            }
+            if (receipt || entry.consumed) break;
+            this.checkAborted(`replacement of nonce ${entry.nonce}`);
+            if (attempt >= policy.maxReplacements) {
+                log(this.index, `Tx nonce ${entry.nonce} still pending after ${attempt} replacement(s).`, 'warn');
+                return null;
+            }
+            await this.replacePending(entry, entry.dropped ? 'speedup' : policy.replaceMode);
+        }
+        await this.db.clearPending(this.address, entry.nonce);
+        return receipt;
+    }
+
+    async replacePending(entry, mode) {
+        const { gasBumpPercent } = this.pendingPolicy();
+        const feeData = await runWithTimeout(this.wallet.provider.getFeeData(), CONFIG.timeouts.rpcMs, 'Fee Data Timeout');
+        const bumped = (BigInt(entry.gasPrice) * BigInt(100 + gasBumpPercent)) / 100n;
+        const gasPrice = entry.dropped ? BigInt(entry.gasPrice) : (feeData.gasPrice > bumped ? feeData.gasPrice : bumped);
+
+        const { maxGasPrice } = this.gasBudget;
+        if (maxGasPrice !== null && gasPrice > maxGasPrice) {
+            log(this.index, `Cannot bump nonce ${entry.nonce} above gas cap. Keep waiting.`, 'warn');
+            return;
+        }
+
+        const cancel = mode === 'cancel';
+        const tx = cancel
+            ? { to: this.address, value: 0n, data: '0x', gasLimit: 21000n, gasPrice }
+            : { to: entry.to, data: entry.data, gasLimit: BigInt(entry.gasLimit), gasPrice };
+
+        // Only one tx per nonce can be mined, so the replacement's worst case takes over what is already reserved
+        // for it; the spend caps only have to cover the difference
+        const cost = tx.gasLimit * gasPrice;
+        const extra = cost > this.reservedCost ? cost - this.reservedCost : 0n;
+        const capped = this.gasBudget.reserve(extra);
+        if (capped) {
+            log(this.index, `Cannot replace nonce ${entry.nonce}: ${capped} (replacement may cost ${ethers.formatEther(cost)} BNB). Keep waiting.`, 'warn');
+            return;
+        }
+        this.reservedCost += extra;
+
+        log(this.index, `${entry.dropped ? 'Re-broadcasting dropped' : cancel ? 'Cancelling' : 'Speeding up'} tx nonce ${entry.nonce} @ ${ethers.formatUnits(gasPrice, 'gwei')} gwei...`, 'warn');
+        entry.gasPrice = gasPrice.toString();
+        if (cancel) entry.cancelled = true;
+        const hash = await this.signAndBroadcast(entry, tx);
+        if (hash) log(this.index, `Replacement Sent: ${hash}`, 'info');
+        else log(this.index, `Replacement Rejected: ${entry.rejection}`, 'warn');
+    }
+
+    // Settles transactions left pending by an earlier (possibly crashed) run before anything new is sent
+    async reconcilePending() {
+        const leftovers = [...this.db.getPending(this.address)].sort((a, b) => a.nonce - b.nonce);
+        for (const entry of leftovers) {
+            log(this.index, `Checking leftover tx nonce ${entry.nonce} (${entry.hashes.at(-1)})...`, 'wait');
+            this.lastTx = { hash: null, gasUsed: null, feeWei: null, error: null, blocked: null };
+            let receipt;
+            try {
+                receipt = await this.settlePending(entry);
+            } finally {
+                this.gasBudget.release(this.reservedCost);
+                this.reservedCost = 0n;
+            }
+            if (receipt) {
+                this.recordReceipt(receipt);
+                const ok = receipt.status === 1 && !(entry.cancelled && receipt.to?.toLowerCase() === this.address.toLowerCase());
+                log(this.index, `Leftover tx ${receipt.hash} mined: ${ok ? 'SUCCESS' : 'FAILED/CANCELLED'}`, ok ? 'success' : 'warn');
+                if (ok) await this.db.removeUnsubmittedByCalldata(this.address, entry.data);
+                this.recordTask('recovered_tx', ok ? 'success' : 'tx_failed', { nonce: entry.nonce, txHash: receipt.hash, gasUsed: this.lastTx.gasUsed, feeWei: this.lastTx.feeWei });
+            } else if (entry.consumed) {
+                log(this.index, `Leftover nonce ${entry.nonce} was used by another tx. Dropping record.`, 'warn');
+            } else {
+                log(this.index, `Leftover tx nonce ${entry.nonce} still pending.`, 'warn');
+            }
+        }
+    }
+
+    recordReceipt(receipt) {
+        this.lastTx.receipt = receipt;
+        this.lastTx.hash = receipt.hash;
+        this.lastTx.gasUsed = Number(receipt.gasUsed);
+        this.lastTx.feeWei = receipt.fee.toString();
+        this.gasBudget.record(this.address, receipt.fee);
+        METRICS.inc('sipal_gas_spent_bnb_total', {}, Number(ethers.formatEther(receipt.fee)));
+    }
+
+    // Returns { reason, detail } when the policy forbids sending, else null
+    async checkGasPolicy(gasLimit, gasPrice) {
+        const { maxGasPrice } = this.gasBudget;
+        if (maxGasPrice !== null && gasPrice > maxGasPrice) {
+            return { reason: 'Gas Too High', detail: `${ethers.formatUnits(gasPrice, 'gwei')} gwei > cap ${ethers.formatUnits(maxGasPrice, 'gwei')} gwei` };
+        }
+        const cost = gasLimit * gasPrice;
+        const balance = await runWithTimeout(this.wallet.provider.getBalance(this.address), CONFIG.timeouts.rpcMs, 'Balance Check Timeout');
+        if (balance < cost) return { reason: 'Low Balance', detail: `${ethers.formatEther(balance)} BNB < ${ethers.formatEther(cost)} BNB` };
+        const capped = this.gasBudget.reserve(cost);
+        if (!capped) this.reservedCost = cost;
+        return capped ? { reason: capped, detail: `tx may cost ${ethers.formatEther(cost)} BNB` } : null;
+    }
+
+    // Pre-flight: accounts below gasPolicy.minBalanceBnb are skipped before logging in
+    async hasMinBalance() {
+        const balance = await runWithTimeout(this.wallet.provider.getBalance(this.address), CONFIG.timeouts.rpcMs, 'Balance Check Timeout');
+        this.balance = balance;
+        return balance >= this.gasBudget.minBalance;
+    }
+
+    async login() {
+        try {
+            log(this.index, 'Login...', 'info');
+
+            const nonceRes = await this.requestWithRetry('post', CONFIG.endpoints.loginWallet, { addr: this.address });
+
+            const nonce = nonceRes.data.data.nonce;
+            const signature = await this.wallet.signMessage(nonce);
+
+            const authRes = await this.requestWithRetry('post', CONFIG.endpoints.authWallet, {
+                addr: this.address, signature, nonce
+            });
+
+            this.token = authRes.data.data.token;
+            this.axios.defaults.headers.common['Authorization'] = `Bearer ${this.token}`;
+
+            log(this.index, 'Login SUCCESS', 'success');
+            METRICS.inc('sipal_logins_total', { result: 'success' });
+            await this.cacheSession();
+            return true;
+        } catch (e) {
+            log(this.index, `LOGIN FAILED: ${e.message}`, 'error');
+            this.lastError = e.message;
+            METRICS.inc('sipal_logins_total', { result: 'failure' });
+            return false;
+        }
+    }
+
+    // Reuses the cached token while it is valid; requestWithRetry() logs in again only if the server rejects it
+    async ensureSession() {
+        const cached = this.sessions?.get(this.address);
+        if (!cached) return this.login();
+        this.token = cached.token;
+        this.axios.defaults.headers.common['Authorization'] = `Bearer ${this.token}`;
+        log(this.index, `Session restored (valid until ${new Date(cached.expiresAt).toLocaleString()})`, 'success');
+        METRICS.inc('sipal_logins_total', { result: 'cached' });
+        return true;
+    }
+
+    // Expiry comes from the JWT exp claim when there is one, else session.fallbackTtlMs
+    async cacheSession() {
+        if (!this.sessions) return;
+        const expiresAt = jwtExpiry(this.token) ?? Date.now() + (CONFIG.session?.fallbackTtlMs ?? 6 * 60 * 60 * 1000);
+        try {
+            await this.sessions.set(this.address, this.token, expiresAt);
+        } catch (e) {
+            log(this.index, `Session Save Failed: ${e.message}`, 'warn');
+        }
+    }
+
+    async dropSession() {
+        try {
+            await this.sessions?.remove(this.address);
+        } catch (e) {
+            log(this.index, `Session Save Failed: ${e.message}`, 'warn');
+        }
+    }
+
+    // Farm phase: list farm tasks, farm the open ones, then claim them via finish_task
+    async runFarmTasks() {
+        log(this.index, 'Checking Farm Tasks...', 'wait');
+        const result = { total: 0, completed: 0, performed: 0, failed: 0 };
+
+        let listRes;
+        try {
+            listRes = await this.requestWithRetry('post', CONFIG.endpoints.farmTask);
+        } catch (e) {
+            if (!isBusinessError(e)) throw e;
+            log(this.index, `Farm Task List Failed [${e.label}]: ${e.message}`, 'error');
+            this.recordTask('farm', 'api_failed', { error: e.message, kind: e.kind, code: e.code });
+            return { ...result, success: false };
+        }
+
+        const tasks = extractList(listRes.data.data);
+        result.total = tasks.length;
+        log(this.index, `Farm Tasks -> ${tasks.filter(isFarmTaskDone).length}/${tasks.length} DONE`, 'info');
+
+        for (const task of tasks) {
+            const label = task.name || task.title || `#${task.id}`;
+            if (isFarmTaskDone(task)) {
+                result.completed++;
+                continue;
+            }
+
+            log(this.index, `Action: Farming ${label}...`, 'info');
+            let step = 'Farm';
+            try {
+                await this.requestWithRetry('post', CONFIG.endpoints.farm, { task_id: task.id });
+                await sleep(CONFIG.delays.farmStepMs);
+                step = 'Finish Task';
+                await this.requestWithRetry('post', CONFIG.endpoints.finishTask, { task_id: task.id });
+            } catch (e) {
+                if (!isBusinessError(e)) throw e;
+                log(this.index, `${step} API Failed (${label}) [${e.label}]: ${e.message}`, 'error');
+                this.recordTask(`farm:${task.id}`, 'api_failed', { id: task.id, error: e.message, kind: e.kind, code: e.code });
+                result.failed++;
+                continue;
+            }
+
+            log(this.index, `Farm ${label} Completed ✅`, 'success');
+            this.recordTask(`farm:${task.id}`, 'success', { id: task.id });
+            result.completed++;
+            result.performed++;
+        }
+
+        return { ...result, success: true };
+    }
+
+    // Points / rank / totals from userInfo, overall_stats and leaderboard_list
+    async fetchStats() {
+        const stats = { points: null, rank: null, requests: null, agents: null };
+        // A business rejection of one endpoint leaves its numbers empty; anything else ends the lookup
+        const fetchData = async (url) => {
+            try {
+                return (await this.requestWithRetry('post', url)).data.data;
+            } catch (e) {
+                if (!isBusinessError(e)) throw e;
+                log(this.index, `Stats ${url} [${e.label}]: ${e.message}`, 'debug');
+                return undefined;
+            }
+        };
+        try {
+            const info = await fetchData(CONFIG.endpoints.userInfo);
+            if (info !== undefined) {
+                stats.points = pickNumber(info || {}, ['points', 'point', 'total_points', 'score']);
+                stats.rank = pickNumber(info || {}, ['rank', 'ranking']);
+            }
+
+            const overallData = await fetchData(CONFIG.endpoints.overallStats);
+            if (overallData !== undefined) {
+                const overall = overallData || {};
+                stats.points ??= pickNumber(overall, ['points', 'total_points', 'score']);
+                stats.rank ??= pickNumber(overall, ['rank', 'ranking']);
+                stats.requests = pickNumber(overall, ['request_count', 'total_request', 'requests']);
+                stats.agents = pickNumber(overall, ['agent_count', 'total_agent', 'agents']);
+            }
+
+            // Rank is not always part of the user payload, look it up on the leaderboard instead
+            if (stats.rank === null) {
+                const board = await fetchData(CONFIG.endpoints.leaderboard);
+                if (board !== undefined) {
+                    const list = extractList(board);
+                    const idx = list.findIndex(e => String(e.addr || e.address || e.wallet || '').toLowerCase() === this.address.toLowerCase());
+                    if (idx !== -1) stats.rank = pickNumber(list[idx], ['rank', 'ranking']) ?? idx + 1;
                 }
+            }
+        } catch (e) {
+            log(this.index, `Stats Fetch Error: ${e.message}`, 'warn');
+        }
+        return stats;
+    }
+
+    // Submits an API-created request/agent on-chain and keeps its resume record in sync:
+    // removed once mined or permanently reverted, kept for anything transient (attempts + 1 unless
+    // the gas policy blocked it, which is not the record's fault)
+    async submitOnChain(task, id, params, resumed = false) {
+        const spec = TASKS[task];
+        log(this.index, `Submitting ${spec.label} ID ${id} on-chain${resumed ? ' (resumed)' : ''}...`, 'info');
+        const success = await this.sendRawTransaction(spec.selector, spec.types, spec.values(id, params));
+
+        const { hash: txHash, gasUsed, feeWei, error, blocked, reverted } = this.lastTx;
+        if (reverted) METRICS.inc('sipal_tx_reverts_total');
+        if (success || reverted) {
+            await this.db.removeUnsubmitted(this.address, task, id);
+        } else if (!blocked) {
+            await this.db.bumpUnsubmitted(this.address, task, id, error);
+        }
+
+        if (success) {
+            const eventFound = Boolean(this.findSubmissionEvent(this.lastTx.receipt, id));
+            log(this.index, `${spec.label} Completed ✅${eventFound ? ' (contract event found)' : ''}`, 'success');
+            if (!eventFound) log(this.index, `No ${spec.label} event for ID ${id} in the receipt logs of ${txHash}`, 'warn');
+            this.recordTask(task, 'success', { id, txHash, gasUsed, feeWei, resumed, eventFound });
+        } else {
+            log(this.index, `${spec.label} Tx Failed ❌ (${reverted ? 'dropped' : 'kept for next run'})`, 'warn');
+            this.recordTask(task, blocked ? 'blocked' : 'tx_failed', { id, txHash, gasUsed, feeWei, error, blocked, resumed });
+        }
+        return success;
+    }
+
+    // The contract is unverified, so its events are matched structurally: a log emitted by agentContract
+    // that carries our ID as an indexed topic or as one of its 32-byte data words
+    findSubmissionEvent(receipt, id) {
+        const word = ethers.toBeHex(BigInt(id), 32);
+        const contract = BSC_CONFIG.agentContract.toLowerCase();
+        return (receipt?.logs || []).find(entry => {
+            if (entry.address.toLowerCase() !== contract) return false;
+            const words = (entry.data.slice(2).match(/.{64}/g) || []).map(w => `0x${w}`);
+            return [...entry.topics.slice(1), ...words].some(w => w.toLowerCase() === word);
+        }) || null;
+    }
+
+    // Re-checks verifyDailyTask after this run's submissions were mined. A submission whose flag did not flip
+    // (or whose receipt has no contract event for its ID) is downgraded to 'unconfirmed'. Returns that count.
+    // The txs are already mined, so a failing re-check leaves them unconfirmed instead of failing the run.
+    async confirmSubmissions() {
+        const submitted = this.tasks.filter(t => t.outcome === 'success' && TASKS[t.task]);
+        const { enabled = true, serverChecks = 3, serverCheckDelayMs = 5000 } = CONFIG.confirmation || {};
+        if (!enabled || submitted.length === 0) return 0;
+
+        // The server indexes the chain with some lag: poll a few times before calling it a mismatch
+        let daily = {};
+        try {
+            for (let i = 0; i < serverChecks; i++) {
+                await sleep(serverCheckDelayMs);
+                const res = await this.requestWithRetry('post', CONFIG.endpoints.verifyDailyTask);
+                daily = res.data.data || {};
+                if (submitted.every(t => daily[TASKS[t.task].flag])) break;
+            }
+        } catch (e) {
+            if (this.aborted) throw e;
+            const error = `Server check failed${e instanceof ApiError ? ` [${e.label}]` : ''}: ${e.message}`;
+            log(this.index, `Cannot confirm submissions: ${error}`, 'warn');
+            for (const task of submitted) {
+                Object.assign(task, { outcome: 'unconfirmed', serverConfirmed: null, error, errorKind: e.kind ?? null });
+                METRICS.inc('sipal_unconfirmed_total', { task: task.task, reason: 'server_check_failed' });
+            }
+            return submitted.length;
+        }
+
+        let unconfirmed = 0;
+        for (const task of submitted) {
+            const spec = TASKS[task.task];
+            task.serverConfirmed = Boolean(daily[spec.flag]);
+            if (task.serverConfirmed && task.eventFound) continue;
+            task.outcome = 'unconfirmed';
+            task.error = task.serverConfirmed ? 'Tx mined but no contract event for this ID' : 'Tx mined but server still reports NOT DONE';
+            log(this.index, `${spec.label} ID ${task.id} Unconfirmed: ${task.error}`, 'warn');
+            METRICS.inc('sipal_unconfirmed_total', { task: task.task, reason: task.serverConfirmed ? 'no_event' : 'server_not_done' });
+            unconfirmed++;
+        }
+        if (unconfirmed === 0) log(this.index, 'On-chain submissions confirmed by contract events and server ✅', 'success');
+        return unconfirmed;
+    }
+
+    // Returns the task keys of the queued records that were submitted successfully (one entry per record)
+    async resumeUnsubmitted() {
+        const maxAttempts = CONFIG.resumeMaxAttempts || 5;
+        const done = [];
+        for (const record of this.db.getUnsubmitted(this.address)) {
+            if (!TASKS[record.task]) {
+                log(this.index, `Keeping queued ${record.task} ID ${record.id}: no such task is registered any more`, 'warn');
+                continue;
+            }
+            if (record.attempts >= maxAttempts) {
+                log(this.index, `Giving up on ${record.task} ID ${record.id} after ${record.attempts} attempts.`, 'error');
+                await this.db.removeUnsubmitted(this.address, record.task, record.id);
+                this.recordTask(record.task, 'abandoned', { id: record.id, error: record.lastError, resumed: true });
+                continue;
+            }
+            if (await this.submitOnChain(record.task, record.id, record.params, true)) done.push(record.task);
+        }
+        return done;
+    }
+
+    recordTask(task, outcome, details = {}) {
+        this.tasks.push({ task, outcome, ...details });
+        METRICS.inc('sipal_tasks_total', { task: task.split(':')[0], outcome }); // farm:<id> -> farm
+    }
+
+    // One registry task: create it through the API (only when no earlier one is still waiting for its on-chain
+    // step or was just resumed), queue the ID, then submit it. Returns true when a submission was mined.
+    // `daily` was read before resuming, so a task resumed in this run is done even though its flag is still false.
+    async runTask(spec, daily, resumed) {
+        if (this.db.getUnsubmitted(this.address, spec.key).length > 0) {
+            log(this.index, `Skipping New ${spec.label} (earlier one still queued for on-chain)`, 'warn');
+            return false;
+        }
+        if (resumed.includes(spec.key)) {
+            log(this.index, `Skipping New ${spec.label} (queued one submitted this run)`, 'info');
+            return false;
+        }
+        if (daily?.[spec.flag]) {
+            log(this.index, `Skipping ${spec.label} Task (Already Done)`, 'info');
+            this.recordTask(spec.key, 'already_done');
+            return false;
+        }
+
+        log(this.index, `Action: Starting ${spec.label} Task...`, 'info');
+        const params = spec.params();
+        let id;
+        try {
+            const res = await this.requestWithRetry(spec.method, taskEndpoint(spec), spec.body(params));
+            id = spec.id(res.data.data);
+            if (!id) throw new ApiError('business', `No ${spec.label} ID in the response`, { url: taskEndpoint(spec) });
+        } catch (e) {
+            if (!isBusinessError(e)) throw e;
+            log(this.index, `Create ${spec.label} API Failed [${e.label}]: ${e.message}`, 'error');
+            this.recordTask(spec.key, 'api_failed', { error: e.message, kind: e.kind, code: e.code });
+            return false;
+        }
+
+        // Persist before anything else so a failed/crashed submission can be resumed
+        await this.db.addUnsubmitted(this.address, { task: spec.key, id, params, createdAt: Date.now(), attempts: 0 });
+        await sleep(CONFIG.delays.afterCreateMs);
+        return this.submitOnChain(spec.key, id, params);
+    }
+
+    async runDailyTasks() {
+        if (this.dryRun) return this.runDryRun();
+        this.tasks = [];
+
+        try {
+            if (!await this.hasMinBalance()) {
+                log(this.index, `Low Balance: ${ethers.formatEther(this.balance)} BNB. Skipping account.`, 'warn');
+                return { success: false, lowBalance: true, status: 'Low Balance', tasks: this.tasks, error: `Balance ${ethers.formatEther(this.balance)} BNB` };
+            }
+        } catch (e) {
+            // An unreachable RPC should not block the API-only tasks; sendRawTransaction re-checks before sending
+            log(this.index, `Balance Check Failed: ${e.message}`, 'warn');
+        }
+
+        try {
+            await this.reconcilePending();
+        } catch (e) {
+            log(this.index, `Pending Tx Check Failed: ${e.message}`, 'warn');
+        }
+
+        if (!await this.ensureSession()) return { success: false, status: 'Login Failed', tasks: this.tasks, error: this.lastError };
+
+        const statsBefore = await this.fetchStats();
+
+        log(this.index, 'Checking Daily Claim...', 'wait');
+
+        try {
+            // Verify Tasks
+            // HAR shows content-length: 0, so we send undefined/null data to ensure empty body
+            const taskRes = await this.requestWithRetry('post', CONFIG.endpoints.verifyDailyTask);
+            const taskData = taskRes.data.data;
+            const nextResetAt = parseServerReset(taskData);
+
+            log(this.index, `Server Status -> ${describeDailyStatus(taskData)}`, 'info');
+
+            let status = 'Tasks Done';
+            let performed = 0;
+
+            // 0. Resume records created by the API earlier but never confirmed on-chain
+            const resumed = await this.resumeUnsubmitted();
+            performed += resumed.length;
+
+            // 1. Create and submit every registered task the server still reports as open
+            for (const spec of Object.values(TASKS)) {
+                if (await this.runTask(spec, taskData, resumed)) performed++;
+            }
+
+            // 2. Confirm what was submitted against the receipt logs and the server's flags
+            const unconfirmed = await this.confirmSubmissions();
+
+            // 3. Farm Tasks
+            let farm = { total: 0, completed: 0, performed: 0, failed: 0, success: false };
+            try {
+                farm = await this.runFarmTasks();
+                performed += farm.performed;
+            } catch (e) {
+                log(this.index, `Farm Tasks Error: ${e.message}`, 'error');
+                this.recordTask('farm', 'error', { error: e.message });
+            }
+            const farmStatus = farm.success ? `${farm.completed}/${farm.total}` : 'Error';
+
+            // 4. Stats (fetched after the tasks so the numbers reflect this run)
+            const stats = await this.fetchStats();
+            log(this.index, `Points Status: ${stats.points ?? 'N/A'}${formatDelta(statsBefore.points, stats.points)} | Rank: ${stats.rank ?? 'N/A'}`, 'info');
+            const blocked = this.tasks.find(t => t.outcome === 'blocked');
+            status = blocked ? `Blocked (${blocked.blocked})` : unconfirmed > 0 ? 'Unconfirmed' : performed > 0 ? 'Work Done' : 'Already Done';
+            return { success: true, stats, statsBefore, farm: farmStatus, tasks: this.tasks, gasSpentWei: this.gasBudget.spentBy(this.address), status, nextResetAt };
+
+        } catch (e) {
+            log(this.index, `Task details${e instanceof ApiError ? ` [${e.label}]` : ''}: ${e.message}`, 'error');
+            return { success: false, status: 'Error', statsBefore, tasks: this.tasks, error: e.message, errorKind: e.kind ?? null };
+        }
+    }
+
+    // Dry run of the on-chain step: same calldata as sendRawTransaction(), checked with eth_call +
+    // estimateGas and the gas policy, but never signed or broadcast
+    async simulateOnChain(task, id, params, source) {
+        const spec = TASKS[task];
+        const calldata = buildCalldata(spec.selector, spec.types, spec.values(id, params));
+        const txRequest = { from: this.address, to: BSC_CONFIG.agentContract, data: calldata };
+        log(this.index, `[Dry Run] ${spec.label} ID ${id} (${source}) -> ${spec.selector}, ${(calldata.length - 2) / 2} bytes calldata`, 'info');
+
+        try {
+            await runWithTimeout(this.wallet.provider.call(txRequest), CONFIG.timeouts.rpcMs, 'eth_call Timeout');
+            const estimate = await runWithTimeout(this.wallet.provider.estimateGas(txRequest), CONFIG.timeouts.rpcMs, 'Gas Estimate Timeout');
+            const gasLimit = (estimate * 120n) / 100n; // same +20% buffer as a real send
+            const { gasPrice } = await runWithTimeout(this.wallet.provider.getFeeData(), CONFIG.timeouts.rpcMs, 'Fee Data Timeout');
+            const estimatedFeeWei = gasLimit * gasPrice;
+
+            const blocked = await this.checkGasPolicy(gasLimit, gasPrice);
+            this.gasBudget.release(this.reservedCost);
+            this.reservedCost = 0n;
+
+            const details = { id, calldata, gasLimit: Number(gasLimit), gasPrice: gasPrice.toString(), estimatedFeeWei: estimatedFeeWei.toString() };
+            if (blocked) {
+                log(this.index, `[Dry Run] ${spec.label} would be blocked: ${blocked.reason} (${blocked.detail})`, 'warn');
+                this.recordTask(task, 'blocked', { ...details, blocked: blocked.reason, error: `${blocked.reason}: ${blocked.detail}` });
+            } else {
+                log(this.index, `[Dry Run] ${spec.label} OK: gas ${gasLimit} @ ${ethers.formatUnits(gasPrice, 'gwei')} gwei ≈ ${ethers.formatEther(estimatedFeeWei)} BNB`, 'success');
+                this.recordTask(task, 'simulated', details);
+            }
+        } catch (e) {
+            const reverted = e.code === 'CALL_EXCEPTION' || e.message.includes('execution reverted');
+            const error = reverted ? `Would Revert: ${e.reason || e.shortMessage || 'No Reason'}` : e.message;
+            log(this.index, `[Dry Run] ${spec.label} ${error}`, 'error');
+            this.recordTask(task, reverted ? 'would_revert' : 'simulation_failed', { id, calldata, error });
+        }
+    }
+
+    // --dry-run: login + verifyDailyTask, then simulate every open task. Queued records are simulated with
+    // their real ID; new ones use DRY_RUN_ID because only the tasks' create endpoints hand out IDs.
+    async runDryRun() {
+        this.tasks = [];
+        if (!await this.ensureSession()) return { success: false, status: 'Login Failed', tasks: this.tasks, error: this.lastError };
+
+        try {
+            const stats = await this.fetchStats();
+            const taskRes = await this.requestWithRetry('post', CONFIG.endpoints.verifyDailyTask);
+            const daily = taskRes.data.data || {};
+            log(this.index, `Server Status -> ${describeDailyStatus(daily)}`, 'info');
+
+            const pending = this.db.getPending(this.address);
+            if (pending.length > 0) log(this.index, `[Dry Run] ${pending.length} pending tx from an earlier run would be reconciled first`, 'warn');
+
+            for (const spec of Object.values(TASKS)) {
+                const queued = this.db.getUnsubmitted(this.address, spec.key)[0];
+                if (queued) await this.simulateOnChain(spec.key, queued.id, queued.params, 'queued');
+                else if (!daily[spec.flag]) await this.simulateOnChain(spec.key, DRY_RUN_ID, spec.params(), 'placeholder ID');
+                else this.recordTask(spec.key, 'already_done');
+            }
 
-                // Send transaction with timeout (30s)
-                const tx = await runWithTimeout(this.wallet.sendTransaction({ ...txRequest, gasLimit }), 30000, 'Tx Send Timeout');
+            let farmTasks = [];
+            try {
+                farmTasks = extractList((await this.requestWithRetry('post', CONFIG.endpoints.farmTask)).data.data);
+            } catch (e) {
+                if (!isBusinessError(e)) throw e;
+                log(this.index, `[Dry Run] Farm Task List Failed [${e.label}]: ${e.message}`, 'warn');
+            }
+            const farmDone = farmTasks.filter(isFarmTaskDone).length;
+            if (farmTasks.length > farmDone) log(this.index, `[Dry Run] ${farmTasks.length - farmDone} farm task(s) would be farmed`, 'info');
+
+            const estimatedCostWei = this.tasks.reduce((sum, t) => sum + BigInt(t.estimatedFeeWei || 0), 0n);
+            const problem = this.tasks.find(t => ['blocked', 'would_revert', 'simulation_failed'].includes(t.outcome));
+            const status = !problem ? 'Dry Run OK' : problem.outcome === 'blocked' ? `Dry Run (Blocked: ${problem.blocked})` : 'Dry Run (Would Fail)';
+            return {
+                success: true, dryRun: true, stats, statsBefore: stats, farm: `${farmDone}/${farmTasks.length}`,
+                tasks: this.tasks, gasSpentWei: 0n, estimatedCostWei, status
+            };
+        } catch (e) {
+            log(this.index, `Dry Run Error${e instanceof ApiError ? ` [${e.label}]` : ''}: ${e.message}`, 'error');
+            return { success: false, dryRun: true, status: 'Error', tasks: this.tasks, error: e.message, errorKind: e.kind ?? null };
+        }
+    }
+}
 
-                log(this.index, `Tx Sent: ${tx.hash}`, 'info');
+// --- SCHEDULER ---
+// Optional per-account run window "HH:MM-HH:MM" (local time, may wrap past midnight)
+function parseWindow(spec) {
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(spec || '');
+    if (!match) return null;
+    const [, sh, sm, eh, em] = match.map(Number);
+    return { start: sh * 60 + sm, end: eh * 60 + em };
+}
 
-                // Wait for receipt with timeout (60s)
-                const receipt = await runWithTimeout(tx.wait(), 60000, 'Tx Wait Timeout');
+function minuteOfDay(time) {
+    const d = new Date(time);
+    return d.getHours() * 60 + d.getMinutes();
+}
 
-                if (receipt.status === 1) {
-                    return true;
-                } else {
-                    log(this.index, `Tx Mined but Failed. Check BSCScan.`, 'error');
-                    return false;
-                }
-            } catch (error) {
-                if (error.code === 'CALL_EXCEPTION' || error.message.includes('execution reverted')) {
-                    log(this.index, `Tx Reverted: ${error.reason || 'No Reason'}. Skipping.`, 'error');
-                    return false;
-                }
+function inWindow(win, time) {
+    const m = minuteOfDay(time);
+    return win.start <= win.end ? m >= win.start && m < win.end : m >= win.start || m < win.end;
+}
 
-                if (i < retries - 1) {
-                    log(this.index, `Tx Fail: ${error.message}. Retry ${i + 1}/${retries}`, 'warn');
-                    await sleep(5000);
-                } else {
-                    log(this.index, `Tx Failed after retries: ${error.message}`, 'error');
-                    return false;
-                }
-            }
+function nextWindowStart(win, time) {
+    const d = new Date(time);
+    d.setHours(Math.floor(win.start / 60), win.start % 60, 0, 0);
+    if (d.getTime() <= time) d.setDate(d.getDate() + 1);
+    return d.getTime();
+}
+
+// Earliest time >= cooldown end at which the account may run, given its window
+function effectiveDueTime(nextRun, windowSpec, now = Date.now()) {
+    const win = parseWindow(windowSpec);
+    if (!win) return nextRun;
+    const base = Math.max(nextRun, now);
+    return inWindow(win, base) ? nextRun : nextWindowStart(win, base);
+}
+
+// Daily reset (CONFIG.dailyReset): a successful account sleeps until the campaign's next daily reset plus a
+// per-account jitter, instead of a rolling loopInterval that drifts later every day.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Offset (ms) of `timeZone` from UTC at instant `time`
+function timeZoneOffset(time, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(time).map(p => [p.type, Number(p.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+}
+
+// Effective reset policy; `anchor` is the last reset time reported by the server (see parseServerReset)
+function resetPolicy(db) {
+    const policy = { enabled: true, resetTime: '00:00', timezone: 'UTC', jitterMs: 30 * 60 * 1000, fromServer: true, ...CONFIG.dailyReset };
+    return { ...policy, anchor: policy.fromServer ? db?.getServerReset() ?? null : null };
+}
+
+// Most recent reset at or before `time`: every 24h from the server's anchor when known, else resetTime ("HH:MM")
+// on the wall clock of `timezone`
+function lastDailyReset(time, { resetTime = '00:00', timezone = 'UTC', anchor = null } = {}) {
+    if (anchor) return anchor + Math.floor((time - anchor) / DAY_MS) * DAY_MS;
+    const [h, m] = resetTime.split(':').map(Number);
+    const offset = timeZoneOffset(time, timezone);
+    const local = new Date(time + offset); // the zone's wall clock, read through the UTC getters
+    const reset = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), h, m) - offset;
+    return reset > time ? reset - DAY_MS : reset;
+}
+
+// Stable per account and reset, so a restart puts the account back into the same slot
+function resetJitter(address, reset, jitterMs) {
+    if (!jitterMs) return 0;
+    return createHash('sha256').update(`${address.toLowerCase()}:${reset}`).digest().readUInt32BE(0) % jitterMs;
+}
+
+// Cooldown end after a successful run: the next reset plus the account's jitter (rolling loopInterval when disabled)
+function nextRunAfterSuccess(db, address, now = Date.now()) {
+    const policy = resetPolicy(db);
+    if (!policy.enabled) return now + CONFIG.loopInterval;
+    const reset = lastDailyReset(now, policy) + DAY_MS;
+    return reset + resetJitter(address, reset, policy.jitterMs);
+}
+
+// Cooldown end of an account. One whose last run happened before the current reset is due in this reset's
+// slot even if its stored cooldown says later (e.g. a rolling 24h cooldown from older versions). A record
+// migrated from the flat v1 file has no lastRun and counts as having run before the current reset.
+function accountDueTime(db, address, now = Date.now()) {
+    const nextRun = db.getNextRunTime(address);
+    const record = db.data.accounts[address.toLowerCase()];
+    const policy = resetPolicy(db);
+    if (!policy.enabled || !(record?.lastRun || record?.migrated)) return nextRun;
+    const reset = lastDailyReset(now, policy);
+    const ranBeforeReset = record.lastRun ? record.lastRun.at < reset : true;
+    return ranBeforeReset ? Math.min(nextRun, reset + resetJitter(address, reset, policy.jitterMs)) : nextRun;
+}
+
+// Next daily reset when the verifyDailyTask payload carries one (unix seconds or ms); implausible values are ignored
+function parseServerReset(data, now = Date.now()) {
+    const value = pickNumber(data || {}, ['next_reset_time', 'next_reset_at', 'reset_time', 'reset_at']);
+    if (value === null) return null;
+    const time = value < 1e12 ? value * 1000 : value;
+    return time > now && time <= now + 2 * DAY_MS ? time : null;
+}
+
+// Runs a cycle on startup, on every cron tick (schedule.cron) and exactly when the next account
+// becomes due. Triggers that arrive while a cycle runs are coalesced into one follow-up cycle, and
+// timers are re-armed in short slices against the wall clock so sleep/clock jumps cause one check, not a burst.
+class Scheduler {
+    constructor({ runCycle, nextDueTime, cronExpression, timezone, maxTimerMs = 60 * 1000 }) {
+        this.runCycle = runCycle;
+        this.nextDueTime = nextDueTime;
+        this.cronExpression = cronExpression;
+        this.timezone = timezone;
+        this.maxTimerMs = maxTimerMs;
+        this.running = false;
+        this.queued = false;
+        this.timer = null;
+        this.stopped = false;
+    }
+
+    start() {
+        if (this.cronExpression) {
+            this.cronTask = cron.schedule(this.cronExpression, () => this.trigger('cron'), {
+                ...(this.timezone && { timezone: this.timezone })
+            });
         }
-        return false;
+        return this.trigger('startup');
     }
 
-    async login() {
+    // A cycle already running is left to finish, but nothing new is triggered or armed afterwards
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.cronTask?.stop();
+    }
+
+    async trigger(reason) {
+        if (this.stopped) return;
+        if (this.running) {
+            this.queued = true;
+            return;
+        }
+        this.running = true;
+        clearTimeout(this.timer);
         try {
-            log(this.index, 'Login...', 'info');
+            do {
+                this.queued = false;
+                await this.runCycle(reason);
+            } while (this.queued);
+        } catch (e) {
+            log(null, `❌ Cycle crashed: ${e.message}`, 'error');
+        } finally {
+            this.running = false;
+        }
+        this.arm();
+    }
 
-            const nonceRes = await this.requestWithRetry('post', CONFIG.endpoints.loginWallet, { addr: this.address });
-            if (nonceRes.data.code !== 0) throw new Error(nonceRes.data.message);
+    arm() {
+        clearTimeout(this.timer);
+        if (this.stopped) return;
+        const due = this.nextDueTime();
+        if (!due) {
+            if (!this.cronExpression) log(null, '💤 No account scheduled.', 'wait');
+            return;
+        }
+        log(null, `💤 Next account due at ${new Date(due.time).toLocaleString()} (Acc ${due.account})`, 'wait');
+        this.armSlice(due.time);
+    }
 
-            const nonce = nonceRes.data.data.nonce;
-            const signature = await this.wallet.signMessage(nonce);
+    armSlice(dueTime) {
+        const delay = Math.max(0, Math.min(dueTime - Date.now(), this.maxTimerMs));
+        const expected = Date.now() + delay;
+        this.timer = setTimeout(() => {
+            const drift = Date.now() - expected;
+            if (drift > this.maxTimerMs) {
+                log(null, `⏰ Clock jump / system sleep detected (${Math.round(drift / 60000)} min). Running one check.`, 'warn');
+                return this.trigger('clock-jump');
+            }
+            if (Date.now() >= dueTime) return this.trigger('due');
+            this.armSlice(dueTime);
+        }, delay);
+    }
+}
 
-            const authRes = await this.requestWithRetry('post', CONFIG.endpoints.authWallet, {
-                addr: this.address, signature, nonce
-            });
+// Account with the earliest due time (cooldown + window), as { time, account } for Scheduler.arm()
+function nextDueAccount(accounts, db, now = Date.now()) {
+    let due = null;
+    accounts.forEach((acc, i) => {
+        const time = effectiveDueTime(accountDueTime(db, acc.address, now), acc.window, now);
+        if (!due || time < due.time) due = { time, account: i + 1 };
+    });
+    return due;
+}
 
-            if (authRes.data.code !== 0) throw new Error(authRes.data.message);
+// --- NOTIFICATIONS ---
+// Events are queued during a cycle and flushed once at its end, so each sink gets at most one message
+// per cycle (fewer with minIntervalMs: held events ride along with the next allowed message).
+const NOTIFY_EVENTS = ['cycle_summary', 'account_failure', 'low_balance', 'repeated_failures'];
+
+function formatEvent(event) {
+    const who = event.account ? `Acc ${event.account} (${event.address.slice(0, 6)}…${event.address.slice(-4)})` : '';
+    switch (event.type) {
+        case 'cycle_summary':
+            return `📊 Cycle (${event.reason}): ${event.ran} ran, ${event.succeeded} ok, ${event.failed} failed | Points ${event.points} | Gas ${event.gasBnb} BNB`;
+        case 'account_failure': return `❌ ${who} ${event.status}${event.error ? `: ${event.error}` : ''}`;
+        case 'low_balance': return `🪫 ${who} Low Balance${event.error ? `: ${event.error}` : ''}`;
+        case 'repeated_failures': return `🚨 ${who} failed ${event.streak} runs in a row (last: ${event.status})`;
+        default: return `${event.type} ${who}`;
+    }
+}
 
-            this.token = authRes.data.data.token;
-            this.axios.defaults.headers.common['Authorization'] = `Bearer ${this.token}`;
+class NotificationSink {
+    constructor({ events = NOTIFY_EVENTS, minIntervalMs = 0 } = {}) {
+        this.events = events;
+        this.minIntervalMs = minIntervalMs;
+        this.held = [];
+        this.lastSent = 0;
+    }
 
-            log(this.index, 'Login SUCCESS', 'success');
-            return true;
+    async deliver(events) {
+        this.held.push(...events.filter(e => this.events.includes(e.type)));
+        if (this.held.length === 0 || Date.now() - this.lastSent < this.minIntervalMs) return;
+        const batch = this.held.splice(0);
+        try {
+            await this.send(batch, `🤖 Sipal 4BSC Bot\n${batch.map(formatEvent).join('\n')}`);
+            this.lastSent = Date.now();
         } catch (e) {
-            log(this.index, `LOGIN FAILED: ${e.message}`, 'error');
-            return false;
+            // Status/code only: the request URL may carry a bot token
+            log(null, `⚠️ ${this.constructor.name} failed: ${e.response ? `HTTP ${e.response.status}` : e.code || e.message}`, 'warn');
         }
     }
+}
 
-    async runDailyTasks() {
-        if (!await this.login()) return { success: false, status: 'Login Failed' };
+// Generic JSON POST: { source, text, events: [...] }
+class WebhookSink extends NotificationSink {
+    constructor({ url, headers = {}, ...options }) {
+        super(options);
+        this.url = url;
+        this.headers = headers;
+        Object.values(headers).forEach(registerSecret);
+    }
 
-        log(this.index, 'Checking Daily Claim...', 'wait');
+    send(events, text) {
+        return axios.post(this.url, { source: 'sipal-4bsc', text, events }, { headers: this.headers, timeout: CONFIG.timeouts.notifyMs });
+    }
+}
 
-        try {
-            // Verify Tasks
-            // HAR shows content-length: 0, so we send undefined/null data to ensure empty body
-            const taskRes = await this.requestWithRetry('post', CONFIG.endpoints.verifyDailyTask);
-            const taskData = taskRes.data.data;
+class TelegramSink extends NotificationSink {
+    constructor({ botToken, chatId, apiUrl = 'https://api.telegram.org', ...options }) {
+        super(options);
+        this.botToken = botToken;
+        this.chatId = chatId;
+        registerSecret(botToken);
+        this.apiUrl = apiUrl;
+    }
 
-            // Explicit Status Check Logging
-            const isRequestDone = taskData?.is_create_request;
-            const isAgentDone = taskData?.is_create_agent;
+    send(events, text) {
+        return axios.post(`${this.apiUrl}/bot${this.botToken}/sendMessage`, {
+            chat_id: this.chatId, text: text.slice(0, 4096), disable_web_page_preview: true
+        }, { timeout: CONFIG.timeouts.notifyMs });
+    }
+}
 
-            log(this.index, `Server Status -> Request: ${isRequestDone ? 'DONE ✅' : 'NOT DONE ❌'} | Agent: ${isAgentDone ? 'DONE ✅' : 'NOT DONE ❌'}`, 'info');
+const SINK_TYPES = { webhook: WebhookSink, telegram: TelegramSink };
 
-            let status = 'Tasks Done';
-            let performed = 0;
+class Notifier {
+    constructor({ sinks = [], failureThreshold = 3 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.sinks = sinks.filter(s => s.enabled !== false).map(s => {
+            const Sink = SINK_TYPES[s.type];
+            if (!Sink) throw new Error(`Unknown notification sink type: ${s.type}`);
+            return new Sink(s);
+        });
+        this.queue = [];
+    }
 
-            // 1. Create Request
-            if (!isRequestDone) {
-                log(this.index, 'Action: Starting Request Task...', 'info');
-                const title = getRandomItem(TITLES);
-                const reqRes = await this.requestWithRetry('post', CONFIG.endpoints.createRequest, {
-                    title, content: getRandomContent(), is_mobile: false
-                });
-
-                if (reqRes.data.code === 0 && reqRes.data.data?.id) {
-                    await sleep(2000);
-                    // On-Chain with CORRECT selector 0xc9a5fadf
-                    log(this.index, `Submitting Request ID ${reqRes.data.data.id} on-chain...`, 'info');
-                    const success = await this.sendRawTransaction(
-                        FUNCTION_SELECTORS.SUBMIT_REQUEST,
-                        ['uint256', 'string'],
-                        [reqRes.data.data.id, title]
-                    );
-
-                    if (success) {
-                        log(this.index, 'Request Completed ✅', 'success');
-                        performed++;
-                    } else {
-                        log(this.index, 'Request Tx Failed ❌ (Skipping to next task)', 'warn');
-                    }
-                } else {
-                    log(this.index, `Create Request API Failed: ${reqRes.data.message}`, 'error');
-                }
-            } else {
-                log(this.index, 'Skipping Request Task (Already Done)', 'info');
-            }
-
-            // 2. Create Agent
-            if (!isAgentDone) {
-                log(this.index, 'Action: Starting Agent Task...', 'info');
-                const name = getRandomAgentName();
-                const agentRes = await this.requestWithRetry('post', CONFIG.endpoints.createRepositories, {
-                    name, tag: [0], description: getRandomItem(AGENT_DESCRIPTIONS)
-                });
-
-                if (agentRes.data.code === 0 && agentRes.data.data?.id) {
-                    await sleep(2000);
-                    // On-Chain with CORRECT selector 0x9897934c
-                    const agentDescription = getRandomItem(AGENT_DESCRIPTIONS);
-                    log(this.index, `Submitting Agent ID ${agentRes.data.data.id} on-chain...`, 'info');
-                    const success = await this.sendRawTransaction(
-                        FUNCTION_SELECTORS.SUBMIT_AGENT,
-                        ['uint256', 'string', 'string'],
-                        [agentRes.data.data.id, name, agentDescription]
-                    );
-
-                    if (success) {
-                        log(this.index, 'Agent Completed ✅', 'success');
-                        performed++;
-                    } else {
-                        log(this.index, 'Agent Tx Failed ❌ (Skipping)', 'warn');
-                    }
-                } else {
-                    log(this.index, `Create Agent API Failed: ${agentRes.data.message}`, 'error');
-                }
-            } else {
-                log(this.index, 'Skipping Agent Task (Already Done)', 'info');
-            }
+    emit(type, details = {}) {
+        if (this.sinks.length > 0) this.queue.push({ type, at: Date.now(), ...details });
+    }
 
-            // Get updated points from verify response
-            try {
-                // Extract points from taskData.message (e.g., "You've earned 150 pts.")
-                let points = '-';
-                if (taskData?.message) {
-                    const match = taskData.message.match(/(\d+)\s*pts/i);
-                    if (match) points = match[1];
-                }
-                log(this.index, `Points Status: ${taskData?.message || 'N/A'}`, 'info');
-                return { success: true, points, status: performed > 0 ? 'Work Done' : 'Already Done' };
-            } catch (err) {
-                return { success: true, points: '?', status: performed > 0 ? 'Work Done' : 'Already Done' };
-            }
+    // Outcome of one account run: failure / low balance, plus an alert every failureThreshold failures in a row
+    accountResult(account, address, res, streak) {
+        if (res.success) return;
+        const details = { account, address, status: res.status, error: res.error || null };
+        this.emit(res.lowBalance ? 'low_balance' : 'account_failure', details);
+        if (this.failureThreshold > 0 && streak > 0 && streak % this.failureThreshold === 0) this.emit('repeated_failures', { ...details, streak });
+    }
+
+    async flush() {
+        const events = this.queue.splice(0);
+        await Promise.all(this.sinks.map(sink => sink.deliver(events)));
+    }
+}
+
+// --- METRICS ---
+// Minimal Prometheus registry (text exposition format 0.0.4), served by the status API at /metrics
+class Metrics {
+    constructor() {
+        this.families = new Map();
+    }
+
+    define(name, type, help, initial = true) {
+        this.families.set(name, { type, help, values: new Map(initial ? [['', 0]] : []) });
+    }
+
+    static labelKey(labels) {
+        const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return Object.entries(labels).map(([k, v]) => `${k}="${escape(v)}"`).join(',');
+    }
+
+    inc(name, labels = {}, value = 1) {
+        const { values } = this.families.get(name);
+        const key = Metrics.labelKey(labels);
+        values.set(key, (values.get(key) || 0) + value);
+    }
+
+    set(name, value, labels = {}) {
+        this.families.get(name).values.set(Metrics.labelKey(labels), value);
+    }
+
+    render() {
+        const lines = [];
+        for (const [name, { type, help, values }] of this.families) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [key, value] of values) lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+const METRICS = new Metrics();
+METRICS.define('sipal_logins_total', 'counter', 'Login attempts by result', false);
+METRICS.define('sipal_tasks_total', 'counter', 'Task outcomes by task and outcome', false);
+METRICS.define('sipal_tx_reverts_total', 'counter', 'On-chain submissions that reverted (estimate or mined)');
+METRICS.define('sipal_unconfirmed_total', 'counter', 'Mined submissions not confirmed by contract event or server flag', false);
+METRICS.define('sipal_api_retries_total', 'counter', 'Retries inside requestWithRetry by reason', false);
+METRICS.define('sipal_api_errors_total', 'counter', 'API calls that failed after retries, by error kind', false);
+METRICS.define('sipal_circuit_opened_total', 'counter', 'Circuit breaker trips by scope (account/fleet) and error kind', false);
+METRICS.define('sipal_gas_spent_bnb_total', 'counter', 'Gas fees paid for mined transactions (BNB)');
+METRICS.define('sipal_cycles_total', 'counter', 'Completed cycles');
+METRICS.define('sipal_cycle_duration_seconds', 'gauge', 'Duration of the last completed cycle');
+METRICS.define('sipal_cycle_running', 'gauge', '1 while a cycle is in progress');
+METRICS.define('sipal_last_cycle_timestamp_seconds', 'gauge', 'End time of the last completed cycle');
+METRICS.define('sipal_account_points', 'gauge', 'Points per account after its last run', false);
+METRICS.define('sipal_rpc_up', 'gauge', '1 if the RPC endpoint passed its last health check', false);
+METRICS.define('sipal_rpc_latency_ms', 'gauge', 'RPC endpoint latency at its last health check', false);
+METRICS.define('sipal_rpc_errors_total', 'counter', 'Failed RPC requests by endpoint', false);
+METRICS.define('sipal_rpc_failovers_total', 'counter', 'Switches of the active RPC endpoint, by new endpoint', false);
+
+// --- STATUS API ---
+// Optional read-only HTTP server (CONFIG.statusApi): per-account state, current cycle and /metrics
+function accountStatus(accounts, db) {
+    return accounts.map((acc, i) => {
+        const state = db.data.accounts[acc.address.toLowerCase()] || {};
+        return {
+            account: i + 1,
+            address: acc.address,
+            nextRun: state.nextRun || state.lastRun ? new Date(effectiveDueTime(accountDueTime(db, acc.address), acc.window)).toISOString() : null,
+            lastRunAt: state.lastRun ? new Date(state.lastRun.at).toISOString() : null,
+            lastStatus: state.lastRun?.status ?? null,
+            points: state.lastRun?.pointsAfter ?? null,
+            lastTxHash: state.lastTxHash ?? null,
+            pendingTx: db.getPending(acc.address).length,
+            queued: db.getUnsubmitted(acc.address).length
+        };
+    });
+}
 
+async function startStatusServer({ host = '127.0.0.1', port = 9464, accounts, db, getCycle }) {
+    const routes = {
+        '/health': () => ({ ok: true }),
+        '/accounts': () => accountStatus(accounts, db),
+        '/cycle': () => getCycle()
+    };
+
+    const send = (res, status, body, type = 'application/json') => {
+        res.writeHead(status, { 'Content-Type': type });
+        res.end(type === 'application/json' ? JSON.stringify(body, null, 2) : body);
+    };
+
+    // A failing handler answers 500; it must never take the bot down with it
+    const server = http.createServer((req, res) => {
+        try {
+            const path = req.url.split('?')[0];
+            if (req.method !== 'GET') return send(res, 405, { error: 'Method Not Allowed' });
+            if (path === '/metrics') return send(res, 200, METRICS.render(), 'text/plain; version=0.0.4');
+            const route = routes[path];
+            send(res, route ? 200 : 404, route ? route() : { error: 'Not Found' });
         } catch (e) {
-            log(this.index, `Task details: ${e.message}`, 'error');
-            return { success: false, status: 'Error' };
+            log(null, `Status API ${req.method} ${req.url} failed: ${e.message}`, 'error');
+            if (res.headersSent) return res.destroy();
+            send(res, 500, { error: 'Internal Server Error' });
         }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    return server;
+}
+
+// --- CLI COMMANDS ---
+// Index of the unlocked account matching --account (number or address)
+async function findAccount(accounts, spec) {
+    const address = await resolveAccountAddress(spec);
+    const index = accounts.findIndex(a => a.address.toLowerCase() === address);
+    if (index === -1) throw new Error(`Account ${spec} is not in keystore.json`);
+    return index;
+}
+
+async function statusCommand() {
+    const store = await loadKeystore();
+    const db = await WalletDB.open();
+    const table = new Table({
+        head: ['Account', 'Address', 'Window', 'Next Run', 'Last Run', 'Last Status', 'Points', 'Pending Tx', 'Queued'],
+        style: { head: ['cyan'], border: ['grey'] }
+    });
+    store.accounts.forEach((entry, i) => {
+        const state = db.data.accounts[entry.address.toLowerCase()] || {};
+        const due = effectiveDueTime(accountDueTime(db, entry.address), entry.window);
+        table.push([
+            `Acc ${i + 1} `, entry.address, entry.window || '-',
+            due <= Date.now() ? chalk.green('Due now') : new Date(due).toLocaleString(),
+            state.lastRun ? new Date(state.lastRun.at).toLocaleString() : '-',
+            state.lastRun?.status || '-', state.lastRun?.pointsAfter ?? '-',
+            db.getPending(entry.address).length, db.getUnsubmitted(entry.address).length
+        ]);
+    });
+    console.log(table.toString());
+}
+
+async function runCommand(args) {
+    const spec = getArg(args, '--account');
+    if (!spec) throw new Error('Usage: node index.js run --account N|address');
+    const dryRun = args.includes('--dry-run');
+    const db = new WalletDB();
+    if (!dryRun) await db.lock(); // a dry run writes nothing
+    try {
+        await db.load();
+        const { accounts, sessions } = await loadAccounts();
+        const i = await findAccount(accounts, spec);
+        const gasBudget = new GasBudget(CONFIG.gasPolicy, db.getSpentSince(startOfDay()));
+        gasBudget.startRun();
+
+        const notifier = dryRun ? null : new Notifier(CONFIG.notifications);
+        const breaker = new CircuitBreaker(CONFIG.circuitBreaker);
+        const { row, res } = await processAccount(accounts[i], i, { db, gasBudget, sessions, breaker, notifier, force: true, dryRun });
+        printSummary([row], res.success ? [res] : [], gasBudget, breaker);
+        await notifier?.flush();
+        if (!res.success) process.exitCode = 1;
+    } finally {
+        db.unlock();
+    }
+}
+
+async function resetCooldownCommand(args) {
+    const spec = getArg(args, '--account');
+    const addresses = spec ? [await resolveAccountAddress(spec)] : (await loadKeystore()).accounts.map(a => a.address);
+    const db = new WalletDB();
+    await db.lock();
+    try {
+        await db.load();
+        for (const address of addresses) await db.updateNextRunTime(address, 0);
+    } finally {
+        db.unlock();
+    }
+    console.log(chalk.green(`✅ Cooldown reset for ${addresses.length} account(s)`));
+}
+
+async function statsCommand(args) {
+    const { accounts, sessions } = await loadAccounts();
+    const spec = getArg(args, '--account');
+    const indexes = spec ? [await findAccount(accounts, spec)] : accounts.map((_, i) => i);
+    const concurrency = CONFIG.concurrency || 1;
+    const breaker = new CircuitBreaker(CONFIG.circuitBreaker);
+
+    const rows = await runPool(indexes, concurrency, async (i) => {
+        const client = new FourBSCClient(accounts[i].privateKey, accounts[i].proxy, i + 1, { sessions, breaker });
+        if (concurrency > 1) bufferLogs(i + 1);
+        const stats = await client.ensureSession() ? await client.fetchStats() : null;
+        flushLogs(i + 1);
+        return { i, address: client.address, stats };
+    });
+
+    const table = new Table({
+        head: ['Account', 'Address', 'Points', 'Rank', 'Requests', 'Agents'],
+        style: { head: ['cyan'], border: ['grey'] }
+    });
+    for (const { i, address, stats } of rows) {
+        table.push(stats
+            ? [`Acc ${i + 1} `, address, stats.points ?? '-', stats.rank ?? '-', stats.requests ?? '-', stats.agents ?? '-']
+            : [`Acc ${i + 1} `, address, chalk.red('Login Failed'), '-', '-', '-']);
     }
+    const fleet = aggregateStats(rows.filter(r => r.stats));
+    table.push([chalk.bold('TOTAL'), `${fleet.accounts} account(s)`, chalk.bold(fleet.points), fleet.bestRank !== null ? `best ${fleet.bestRank}` : '-', fleet.requests, fleet.agents]);
+    console.log(table.toString());
+}
+
+async function exportCommand(args) {
+    const db = await WalletDB.open();
+    const account = getArg(args, '--account');
+    const since = getArg(args, '--since');
+    const until = getArg(args, '--until');
+    const filter = {
+        address: account ? await resolveAccountAddress(account) : undefined,
+        since: since ? new Date(since).getTime() : undefined,
+        until: until ? new Date(until).getTime() : undefined
+    };
+    const out = getArg(args, '--out');
+    const count = await db.exportRuns(getArg(args, '--format') || 'json', filter, out);
+    if (out) console.log(chalk.green(`✅ Exported ${count} run(s) to ${out}`));
 }
 
+const COMMANDS = {
+    status: statusCommand,
+    run: runCommand,
+    'reset-cooldown': resetCooldownCommand,
+    stats: statsCommand,
+    export: exportCommand,
+    history: exportCommand,
+    import: importAccounts
+};
+
 // --- MAIN LOOP ---
+// One account of a cycle (`force` skips the cooldown/window check, `dryRun` only simulates): cooldown check, tasks (bounded by accountTimeoutMs), history + cooldown update.
+// Returns its summary row, and the run result when it actually ran.
+async function processAccount(acc, i, { db, gasBudget, sessions, breaker, notifier, buffered, force = false, dryRun = false }) {
+    const client = new FourBSCClient(acc.privateKey, acc.proxy, i + 1, { gasBudget, db, sessions, breaker, dryRun });
+
+    // An open circuit (this account's or the fleet's) is not retried before it closes, even when forced
+    const paused = client.breaker.check(client.address);
+    if (paused) {
+        if (!dryRun) await db.updateNextRunTime(client.address, paused.until).catch(e => log(i + 1, `Cooldown Save Failed: ${e.message}`, 'error'));
+        return { row: [`Acc ${i + 1} `, '-', '-', '-', '-', '-', '-', chalk.red(pausedStatus(paused)), new Date(paused.until).toLocaleTimeString()] };
+    }
+
+    const nextRun = force ? 0 : accountDueTime(db, client.address);
+    if (Date.now() < nextRun) {
+        return { row: [`Acc ${i + 1} `, '-', '-', '-', '-', '-', '-', 'Skipped (Cooldown)', new Date(nextRun).toLocaleTimeString()] };
+    }
+    const dueAt = force ? 0 : effectiveDueTime(nextRun, acc.window);
+    if (Date.now() < dueAt) {
+        return { row: [`Acc ${i + 1} `, '-', '-', '-', '-', '-', '-', 'Outside Window', new Date(dueAt).toLocaleTimeString()] };
+    }
+
+    if (buffered) bufferLogs(i + 1);
+    const startedAt = Date.now();
+    const running = client.runDailyTasks();
+    let res;
+    try {
+        // A hung account frees its pool slot after the timeout; its run is aborted and left to settle on its own
+        res = await runWithTimeout(running, CONFIG.accountTimeoutMs || 600000, 'Account Timeout');
+    } catch (e) {
+        log(i + 1, `Account run aborted: ${e.message}`, 'error');
+        if (e.message === 'Account Timeout') {
+            // Stop the abandoned run and keep whatever it still logs out of the other accounts' output
+            client.abort('Account Timeout');
+            LOGGER.detached.add(i + 1);
+            running.finally(() => LOGGER.detached.delete(i + 1)).catch(() => {});
+        }
+        res = { success: false, status: e.message === 'Account Timeout' ? 'Timeout' : 'Error', tasks: client.tasks, error: e.message };
+    }
+    const tripped = res.success ? null : client.breaker.check(client.address);
+    if (tripped) res.status = pausedStatus(tripped);
+
+    // Dry runs leave no trace: no history entry, cooldown untouched
+    if (dryRun) {
+        const { stats } = res;
+        const row = res.success
+            ? [`Acc ${i + 1} `, stats.points ?? '-', stats.rank ?? '-', stats.requests ?? '-', stats.agents ?? '-', res.farm, `~${ethers.formatEther(res.estimatedCostWei)}`, res.status, '-']
+            : [`Acc ${i + 1} `, '-', '-', '-', '-', '-', '-', res.status, '-'];
+        flushLogs(i + 1);
+        return { row, res };
+    }
+
+    try {
+        await db.recordRun({
+            account: i + 1, address: client.address, startedAt, endedAt: Date.now(),
+            status: res.status, success: res.success, tasks: res.tasks || [],
+            pointsBefore: res.statsBefore?.points ?? null, pointsAfter: res.stats?.points ?? null,
+            error: res.error || null
+        });
+    } catch (e) {
+        log(i + 1, `History Save Failed: ${e.message}`, 'error');
+    }
+    notifier?.accountResult(i + 1, client.address, res, db.getFailureStreak(client.address));
+    if (res.stats?.points != null) METRICS.set('sipal_account_points', res.stats.points, { account: i + 1, address: client.address });
+
+    let row;
+    if (res.success) {
+        const { stats, statsBefore } = res;
+        let nextRunAt = Date.now() + CONFIG.loopInterval;
+        try {
+            if (res.nextResetAt && resetPolicy(db).fromServer) await db.setServerReset(res.nextResetAt);
+            nextRunAt = nextRunAfterSuccess(db, client.address);
+            await db.updateNextRunTime(client.address, nextRunAt);
+        } catch (e) {
+            log(i + 1, `Cooldown Save Failed: ${e.message}`, 'error');
+        }
+        row = [
+            `Acc ${i + 1} `,
+            stats.points !== null ? `${stats.points}${formatDelta(statsBefore.points, stats.points)}` : '-',
+            stats.rank ?? '-', stats.requests ?? '-', stats.agents ?? '-',
+            res.farm || '-', ethers.formatEther(res.gasSpentWei), res.status === 'Unconfirmed' ? chalk.yellow(res.status) : res.status,
+            new Date(nextRunAt).toLocaleTimeString()
+        ];
+    } else {
+        // Failed accounts back off for schedule.retryDelayMs instead of being woken again right away,
+        // or until their circuit closes when the breaker paused them
+        const retryAt = tripped ? tripped.until : Date.now() + (CONFIG.schedule?.retryDelayMs || 60 * 60 * 1000);
+        try {
+            await db.updateNextRunTime(client.address, retryAt);
+        } catch (e) {
+            log(i + 1, `Cooldown Save Failed: ${e.message}`, 'error');
+        }
+        const status = res.lowBalance ? chalk.yellow('Low Balance') : res.status === 'Timeout' ? chalk.red('Timeout')
+            : tripped ? chalk.red(res.status) : res.errorKind ? `Failed (${res.errorKind})` : 'Failed';
+        row = [`Acc ${i + 1} `, '-', '-', '-', '-', '-', '-', status, new Date(retryAt).toLocaleTimeString()];
+    }
+
+    flushLogs(i + 1);
+    return { row, res };
+}
+
+// "Paused (rate_limited)" / "Paused (fleet: server)"
+function pausedStatus(circuit) {
+    return `Paused (${circuit.scope === 'fleet' ? 'fleet: ' : ''}${circuit.kind})`;
+}
+
+// Grand summary table of a cycle, with a fleet TOTAL row over the accounts that ran,
+// followed by the reason of every open circuit
+function printSummary(summaryData, runResults, gasBudget, breaker = null) {
+    console.log('\n' + chalk.bold.cyan('================================================================================'));
+    console.log(chalk.bold.cyan(`                          🤖 SIPAL 4BSC BOT V1.0 🤖`));
+    console.log(chalk.bold.cyan('================================================================================'));
+
+    const table = new Table({
+        head: ['Account', 'Points', 'Rank', 'Requests', 'Agents', 'Farm', 'Gas (BNB)', 'Status', 'Next Run'],
+        style: { head: ['cyan'], border: ['grey'] }
+    });
+
+    summaryData.forEach(row => table.push(row));
+
+    if (runResults.length > 0) {
+        const fleet = aggregateStats(runResults);
+        table.push([
+            chalk.bold('TOTAL'),
+            chalk.bold(`${fleet.points}${formatDelta(0, fleet.delta)}`),
+            fleet.bestRank !== null ? `best ${fleet.bestRank}` : '-',
+            fleet.requests, fleet.agents, '-', ethers.formatEther(gasBudget.spentRun),
+            `${fleet.accounts} ran`, '-'
+        ]);
+    }
+
+    console.log(table.toString());
+    console.log(chalk.gray(`⛽ Gas spent today: ${ethers.formatEther(gasBudget.spentDay)} BNB${gasBudget.dayCap !== null ? ` / cap ${ethers.formatEther(gasBudget.dayCap)} BNB` : ''}`));
+    for (const circuit of breaker?.open() || []) {
+        const who = circuit.scope === 'fleet' ? 'all accounts' : circuit.address;
+        console.log(chalk.red(`⛔ Paused ${who} until ${new Date(circuit.until).toLocaleTimeString()}: ${circuit.reason}`));
+    }
+    console.log(chalk.bold.cyan('================================================================================\n'));
+}
+
 async function main() {
     const args = process.argv.slice(2);
+    const profileAt = args.indexOf('--profile');
+    if (profileAt !== -1) args.splice(profileAt, 2); // already applied by the config loader
     if (args.includes('--help')) {
         console.log(`
 Sipal 4BSC Bot V1.0
-Usage: node index.js
+Usage: node index.js [command]
+Commands:
+  (none)          Start the scheduler and run accounts as they become due
+  status          Cooldowns, last results and queued submissions per account (no login)
+  run             Run one account now, ignoring its cooldown/window --account N|address [--dry-run]
+  reset-cooldown  Make accounts due immediately [--account N|address] (default: all)
+                  run/reset-cooldown write wallet_db.json: stop the running bot first
+  stats           Login and fetch points/rank/totals only, no tasks [--account N|address]
+  export          Export run history [--account N|address] [--since YYYY-MM-DD] [--until YYYY-MM-DD]
+                  [--format json|csv] [--out file]   (alias: history)
+  import          Encrypt accounts.json into keystore.json (proxies are kept)
 Options:
+  --dry-run Login + verifyDailyTask, then simulate the on-chain calls (eth_call/estimateGas) and
+            report expected gas/cost. Nothing is created server-side, nothing is broadcast
+  --profile NAME  Use profiles.NAME from config.json (e.g. testnet)
   --help    Show this help message
+Env (also read from .env):
+  SIPAL_KEYSTORE_PASSWORD   Keystore passphrase (prompted if not set)
+  SIPAL_PROFILE             Same as --profile
+  SIPAL_DATA_DIR            Folder for accounts.json, keystore.json, wallet_db.json, tokens.json
+  SIPAL__<path>__<key>      Override any config value, e.g. SIPAL__bscConfig__rpcUrl=https://...
         `);
         return;
     }
 
+    const configErrors = validateConfig(CONFIG);
+    if (configErrors.length > 0) {
+        console.error(chalk.red(`❌ Invalid configuration${CONFIG.profile ? ` (profile ${CONFIG.profile})` : ''}:`));
+        configErrors.forEach(e => console.error(chalk.red(`   - ${e}`)));
+        process.exit(1);
+    }
+
+    try {
+        LOGGER.configure(CONFIG.logging);
+    } catch (e) {
+        console.error(chalk.red(`❌ Cannot open log file: ${e.message}`));
+        process.exit(1);
+    }
+
+    try {
+        await loadTasks(CONFIG.tasks);
+    } catch (e) {
+        console.error(chalk.red(`❌ Cannot load tasks: ${e.message}`));
+        process.exit(1);
+    }
+
+    const command = COMMANDS[args[0]];
+    if (command) {
+        try {
+            await command(args);
+        } catch (e) {
+            console.error(chalk.red(`❌ ${args[0]} failed: ${e.message}`));
+            process.exitCode = 1;
+        }
+        return;
+    }
+
     // Sipal Banner
     console.log(chalk.blue(`
             / \\
@@ -518,67 +3185,195 @@ Options:
                 `));
     console.log(chalk.bold.cyan('    ======SIPAL AIRDROP======'));
     console.log(chalk.bold.cyan('  =====SIPAL 4BSC BOT V1.0====='));
+    if (CONFIG.profile) console.log(chalk.cyan(`  Profile: ${CONFIG.profile} (chain ${BSC_CONFIG.chainId})`));
 
-    // Load Accounts
+    const schedule = CONFIG.schedule || {};
+    const dryRun = args.includes('--dry-run');
+
+    // The bot owns wallet_db.json while it runs (a dry run writes nothing and needs no lock)
+    const db = new WalletDB();
     let accounts = [];
+    let sessions = null;
     try {
-        const file = await fs.readFile(ACCOUNTS_PATH, 'utf8');
-        accounts = JSON.parse(file);
+        if (!dryRun) {
+            await db.lock();
+            process.on('exit', () => db.unlock());
+        }
+        ({ accounts, sessions } = await loadAccounts());
     } catch (e) {
-        console.error(chalk.red('❌ accounts.json not found!'));
+        console.error(chalk.red(`❌ ${e.message}`));
         process.exit(1);
     }
 
-    const db = new WalletDB();
+    // Wrong-chain endpoints are never used; with none left there is nothing safe to send through
+    const rpc = getRpcPool();
+    const rpcReport = await rpc.checkHealth();
+    logRpcHealth(rpcReport);
+    if (rpcReport.every(r => r.chainOk === false)) {
+        console.error(chalk.red(`❌ No RPC endpoint is on chain ${BSC_CONFIG.chainId}. Check bscConfig.rpcUrl / rpcUrls.`));
+        process.exit(1);
+    }
+    if (!rpcReport.some(r => r.healthy)) log(null, 'No healthy RPC endpoint, continuing with degraded ones', 'error');
+
+    await db.load();
+    const gasBudget = new GasBudget(CONFIG.gasPolicy, db.getSpentSince(startOfDay()));
+    if (dryRun) console.log(chalk.magenta('🧪 DRY RUN: no requests/agents are created and no tx is broadcast'));
+    const notifier = dryRun ? null : new Notifier(CONFIG.notifications);
+    const breaker = new CircuitBreaker(CONFIG.circuitBreaker);
+
+    // Current / last cycle, as served by the status API
+    const cycle = { running: false, reason: null, startedAt: null, total: accounts.length, finished: 0, active: [], last: null };
+    // Set by SIGINT/SIGTERM: running accounts may finish, queued ones are not started
+    const shutdown = { requested: false };
+    let outcomes = []; // per-account outcomes of the cycle in progress, for a partial summary on shutdown
+    let cycleDone = null;
+
+    const placeholder = (i, status) => ({ row: [`Acc ${i + 1} `, '-', '-', '-', '-', '-', '-', status, '-'] });
+    const summarize = (list) => printSummary(list.map(o => o.row), list.filter(o => o.res?.success).map(o => o.res), gasBudget, breaker);
+
+    const runCycle = async (reason) => {
+        gasBudget.startRun();
+        const startedAt = Date.now();
+
+        // A marker left by a crash or shutdown resumes that cycle: only its accounts that never finished run now
+        const marker = dryRun ? null : db.getCycle();
+        let queue = accounts.map((acc, i) => ({ acc, i }));
+        if (marker) {
+            const done = new Set(marker.done.map(d => d.address));
+            queue = queue.filter(({ acc }) => marker.accounts.includes(acc.address.toLowerCase()) && !done.has(acc.address.toLowerCase()));
+            log(null, `↩️ Resuming cycle from ${new Date(marker.startedAt).toLocaleString()} (${marker.reason}): ${queue.length} of ${marker.accounts.length} account(s) left`, 'warn');
+        } else if (!dryRun) {
+            await db.startCycle({ startedAt, reason, accounts: accounts.map(a => a.address.toLowerCase()), done: [] });
+        }
 
-    while (true) {
-        const summaryData = [];
-        let anyRun = false;
+        Object.assign(cycle, { running: true, reason, startedAt: new Date(startedAt).toISOString(), total: queue.length, finished: 0, active: [] });
+        METRICS.set('sipal_cycle_running', 1);
 
-        console.log(chalk.yellow(`\n[${new Date().toLocaleTimeString()}]Starting Loop for ${accounts.length} accounts...`));
+        log(null, `Starting Cycle (${reason}) for ${queue.length} accounts...`, 'wait');
+        if (reason !== 'startup' && reason !== 'dry-run') logRpcHealth(await rpc.checkHealth(), true);
 
-        for (let i = 0; i < accounts.length; i++) {
-            const acc = accounts[i];
-            const client = new FourBSCClient(acc.privateKey, acc.proxy, i + 1);
+        // Bounded worker pool; rows come back in account order for the summary
+        const concurrency = CONFIG.concurrency || 1;
+        let finished = 0;
+        outcomes = queue.map(({ i }) => placeholder(i, 'Skipped (Shutdown)'));
+        try {
+            await runPool(queue, concurrency, async ({ acc, i }, k) => {
+                if (shutdown.requested) return;
+                cycle.active.push(i + 1);
+                outcomes[k] = placeholder(i, 'Interrupted');
+                const outcome = await processAccount(acc, i, { db, gasBudget, sessions, breaker, notifier, buffered: concurrency > 1, force: dryRun, dryRun });
+                outcomes[k] = outcome;
+                if (!dryRun) await db.markCycleDone(acc.address, outcome.res?.status ?? 'Skipped');
+                cycle.active = cycle.active.filter(n => n !== i + 1);
+                cycle.finished = ++finished;
+                if (outcome.res) log(null, `[${finished}/${queue.length}] Acc ${i + 1} finished: ${outcome.res.status}`);
+                if (outcome.res && !shutdown.requested) await sleep(CONFIG.delays.betweenAccountsMs);
+            });
+        } finally {
+            cycle.running = false;
+            METRICS.set('sipal_cycle_running', 0);
+        }
+        if (finished === queue.length && !dryRun) await db.finishCycle();
+
+        const ran = outcomes.filter(o => o.res).length;
+        const runResults = outcomes.filter(o => o.res?.success).map(o => o.res);
+        const endedAt = Date.now();
+        cycle.last = {
+            reason, startedAt: cycle.startedAt, endedAt: new Date(endedAt).toISOString(), durationSec: (endedAt - startedAt) / 1000,
+            ran, succeeded: runResults.length, failed: ran - runResults.length, interrupted: queue.length - finished
+        };
+        METRICS.inc('sipal_cycles_total');
+        METRICS.set('sipal_cycle_duration_seconds', (endedAt - startedAt) / 1000);
+        METRICS.set('sipal_last_cycle_timestamp_seconds', Math.floor(endedAt / 1000));
 
-            const nextRun = db.getNextRunTime(client.address);
-            if (Date.now() < nextRun) {
-                summaryData.push([`Acc ${i + 1} `, '-', 'Skipped (Cooldown)', new Date(nextRun).toLocaleTimeString()]);
-                continue;
-            }
+        if (ran === 0 && !shutdown.requested) {
+            log(null, 'No accounts due this cycle.');
+            return;
+        }
 
-            anyRun = true;
-            const res = await client.runDailyTasks();
+        summarize(outcomes);
 
-            if (res.success) {
-                db.updateNextRunTime(client.address, Date.now() + CONFIG.loopInterval);
-                summaryData.push([`Acc ${i + 1} `, res.points || '-', res.status, new Date(Date.now() + CONFIG.loopInterval).toLocaleTimeString()]);
-            } else {
-                summaryData.push([`Acc ${i + 1} `, '-', 'Failed', 'Retry Next Loop']);
-            }
+        if (notifier && ran > 0) {
+            notifier.emit('cycle_summary', {
+                reason, ran, succeeded: runResults.length, failed: ran - runResults.length,
+                points: aggregateStats(runResults).points, gasBnb: ethers.formatEther(gasBudget.spentRun)
+            });
+            await notifier.flush();
+        }
+    };
 
-            await sleep(2000); // Small delay between accounts
+    // Every cycle goes through here so a shutdown can wait for the one in flight
+    const trackedCycle = (reason) => {
+        cycleDone = runCycle(reason).finally(() => { cycleDone = null; });
+        return cycleDone;
+    };
+
+    // A dry run is one simulated pass over every account, cooldowns ignored; no scheduler
+    if (dryRun) {
+        await runCycle('dry-run');
+        return;
+    }
+
+    let statusServer = null;
+    if (CONFIG.statusApi?.enabled) {
+        try {
+            const { host = '127.0.0.1', port = 9464 } = CONFIG.statusApi;
+            statusServer = await startStatusServer({ host, port, accounts, db, getCycle: () => cycle });
+            log(null, `📡 Status API on http://${host}:${port} (/accounts, /cycle, /metrics)`, 'success');
+        } catch (e) {
+            log(null, `❌ Status API failed to start: ${e.message}`, 'error');
         }
+    }
 
-        // --- GRAND SUMMARY ---
-        console.log('\n' + chalk.bold.cyan('================================================================================'));
-        console.log(chalk.bold.cyan(`                          🤖 SIPAL 4BSC BOT V1.0 🤖`));
-        console.log(chalk.bold.cyan('================================================================================'));
+    const scheduler = new Scheduler({
+        runCycle: trackedCycle,
+        cronExpression: schedule.cron,
+        timezone: schedule.timezone,
+        maxTimerMs: schedule.maxTimerMs,
+        nextDueTime: () => nextDueAccount(accounts, db)
+    });
 
-        const table = new Table({
-            head: ['Account', 'Points', 'Status', 'Next Run'],
-            style: { head: ['cyan'], border: ['grey'] }
-        });
+    // Ctrl+C / container stop: in-flight accounts get shutdown.graceMs to finish, then state is flushed and the
+    // partial summary printed. The cycle marker stays in wallet_db.json so the next start resumes it. A second signal exits at once.
+    const stop = async (signal) => {
+        if (shutdown.requested) {
+            log(null, `${signal} again: exiting immediately`, 'error');
+            process.exit(1);
+        }
+        shutdown.requested = true;
+        scheduler.stop();
+        statusServer?.close();
+
+        if (cycleDone) {
+            const graceMs = CONFIG.shutdown?.graceMs ?? 120000;
+            log(null, `🛑 ${signal}: waiting up to ${graceMs / 1000}s for ${cycle.active.length} in-flight account(s), no new ones will start...`, 'warn');
+            const settled = await Promise.race([cycleDone.then(() => true, () => true), sleep(graceMs).then(() => false)]);
+            if (!settled) {
+                log(null, `Grace period over, Acc ${cycle.active.join(', ')} cut off (pending tx are re-checked on the next start)`, 'error');
+                summarize(outcomes);
+            }
+        } else {
+            log(null, `🛑 ${signal}: no cycle running`, 'warn');
+        }
 
-        summaryData.forEach(row => table.push(row));
+        await db.save();
+        await sessions?.save();
+        await notifier?.flush();
+        log(null, 'State saved. Bye 👋', 'success');
+        process.exit(0);
+    };
+    process.on('SIGINT', () => stop('SIGINT'));
+    process.on('SIGTERM', () => stop('SIGTERM'));
 
-        console.log(table.toString());
-        console.log(chalk.bold.cyan('================================================================================\n'));
+    await scheduler.start();
+}
 
-        // Smart Sleep
-        console.log(chalk.magenta('💤 Sleeping for 1 hour before next cycle check...'));
-        await sleep(60 * 60 * 1000);
-    }
+// Only start the bot when run directly; tests import the client without side effects
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+    main().catch((e) => {
+        console.error(chalk.red(`❌ Fatal: ${e.message}`));
+        process.exit(1);
+    });
 }
 
-main();
+export { resolveConfig, validateConfig, COMMANDS, TASKS, registerTask, loadTasks, Logger, redact, registerSecret, ApiError, CircuitBreaker, FourBSCClient, RpcPool, SessionStore, WalletDB, GasBudget, unlockAccounts, Scheduler, Notifier, Metrics, METRICS, startStatusServer, runPool, effectiveDueTime, lastDailyReset, nextRunAfterSuccess, accountDueTime, parseServerReset, CONFIG, BSC_CONFIG, FUNCTION_SELECTORS };
@@ -0,0 +1,67 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, ApiError } from '../index.js';
+
+const A = '0x000000000000000000000000000000000000000A';
+const B = '0x000000000000000000000000000000000000000b';
+const C = '0x000000000000000000000000000000000000000C';
+const MIN = 60 * 1000;
+const serverError = () => new ApiError('server', 'Request failed with status code 503', { status: 503 });
+const rejected = (code) => new ApiError('business', 'NOPE', { status: 200, code });
+
+describe('CircuitBreaker', () => {
+    test('opens after consecutive failures of the same kind and closes after the cooldown', () => {
+        const breaker = new CircuitBreaker({ accountThreshold: 3, cooldownMs: 10 * MIN });
+        const now = Date.now();
+        assert.equal(breaker.failure(A, serverError(), now), null);
+        assert.equal(breaker.failure(A, serverError(), now), null);
+        const open = breaker.failure(A, serverError(), now);
+
+        assert.deepEqual(open, { scope: 'account', kind: 'server', until: now + 10 * MIN, reason: '3x server HTTP 503: Request failed with status code 503' });
+        assert.equal(breaker.check(B, now), null, 'other accounts are not affected');
+        assert.equal(breaker.check(A, now + 10 * MIN), null);
+    });
+
+    test('a success or a different kind starts the count again', () => {
+        const breaker = new CircuitBreaker({ accountThreshold: 2 });
+        breaker.failure(A, serverError());
+        breaker.success(A);
+        assert.equal(breaker.failure(A, serverError()), null);
+        assert.equal(breaker.failure(A, new ApiError('network', 'socket hang up')), null);
+        assert.equal(breaker.failure(A, new ApiError('network', 'socket hang up')).reason, '2x network: socket hang up');
+    });
+
+    test('business rejections never pause an account and reset the count', () => {
+        const breaker = new CircuitBreaker({ accountThreshold: 2 });
+        for (let i = 0; i < 5; i++) assert.equal(breaker.failure(A, rejected(2001)), null);
+        breaker.failure(A, serverError());
+        breaker.failure(A, rejected(2001));
+        assert.equal(breaker.failure(A, serverError()), null);
+        assert.equal(breaker.check(A), null);
+    });
+
+    test('pauses the fleet once enough accounts trip on the same upstream problem', () => {
+        const breaker = new CircuitBreaker({ accountThreshold: 1, fleetThreshold: 2, cooldownMs: 10 * MIN });
+        const now = Date.now();
+        breaker.failure(A, rejected(2001), now);
+        breaker.failure(B, rejected(2001), now);
+        assert.equal(breaker.check(A, now), null, 'business errors never pause an account');
+        assert.equal(breaker.check(C, now), null);
+
+        breaker.failure(A, serverError(), now);
+        assert.equal(breaker.check(C, now), null);
+        breaker.failure(B, serverError(), now + MIN);
+
+        const open = breaker.check(C, now + MIN);
+        assert.equal(open.scope, 'fleet');
+        assert.equal(open.kind, 'server');
+        assert.match(open.reason, /^2 accounts hit server/);
+        assert.deepEqual(breaker.open(now + MIN).map(c => c.scope), ['fleet', 'account', 'account']);
+    });
+
+    test('does nothing when disabled', () => {
+        const breaker = new CircuitBreaker({ enabled: false, accountThreshold: 1 });
+        assert.equal(breaker.failure(A, serverError()), null);
+        assert.equal(breaker.check(A), null);
+    });
+});
@@ -0,0 +1,791 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startApiServer } from './mocks/api-server.js';
+import { startRpcNode } from './mocks/rpc-node.js';
+import { pinConfig } from './mocks/config.js';
+import { FourBSCClient, GasBudget, WalletDB, SessionStore, ApiError, CircuitBreaker, TASKS, registerTask, CONFIG, BSC_CONFIG, FUNCTION_SELECTORS } from '../index.js';
+
+const EP = CONFIG.endpoints;
+let api;
+let rpc;
+let restoreConfig;
+const clients = [];
+
+function newClient(options) {
+    const client = new FourBSCClient(ethers.Wallet.createRandom().privateKey, '', clients.length + 1, options);
+    clients.push(client);
+    return client;
+}
+
+before(async () => {
+    api = await startApiServer(EP);
+    rpc = await startRpcNode({ chainId: 56 });
+    restoreConfig = pinConfig(CONFIG, BSC_CONFIG, {
+        config: { baseUrl: api.url },
+        bsc: { rpcUrl: rpc.url, chainId: 56, agentContract: '0xb3ad998af21485562ecd7ea700ef695135cbb491' }
+    });
+});
+
+after(async () => {
+    clients.forEach(c => c.wallet.provider.destroy());
+    await api.close();
+    await rpc.close();
+    restoreConfig();
+});
+
+beforeEach(() => {
+    api.reset();
+    rpc.reset();
+    api.state.invalidTokenMode = 'token_invalid';
+    api.state.daily = { is_create_request: false, is_create_agent: false };
+    api.state.nextId = 1000;
+    api.state.flagOnCreate = true;
+    api.state.farmTasks = [{ id: 1, name: 'Farm A', is_finish: false }, { id: 2, name: 'Farm B', is_finish: true }];
+    rpc.state.gasPrice = 1_000_000_000n;
+    rpc.state.balance = ethers.parseEther('1');
+});
+
+describe('login()', () => {
+    test('signs the server nonce and stores the bearer token', async () => {
+        const client = newClient();
+        assert.equal(await client.login(), true);
+        assert.match(client.token, /^jwt-/);
+        assert.equal(client.axios.defaults.headers.common.Authorization, `Bearer ${client.token}`);
+        assert.equal(api.callsTo(EP.authWallet)[0].body.addr, client.address);
+    });
+
+    test('returns false when the nonce request is rejected', async () => {
+        const client = newClient();
+        api.fail(EP.loginWallet, { type: 'body', body: { code: 500, message: 'ADDR_BANNED' } });
+        assert.equal(await client.login(), false);
+        assert.equal(client.token, undefined);
+        assert.equal(api.callsTo(EP.authWallet).length, 0);
+    });
+});
+
+describe('requestWithRetry()', () => {
+    test('re-logs in and replays the call on TOKEN_INVALID', async () => {
+        const client = newClient();
+        await client.login();
+        api.revokeTokens();
+
+        const res = await client.requestWithRetry('post', EP.verifyDailyTask);
+        assert.equal(res.data.code, 0);
+        assert.equal(api.callsTo(EP.authWallet).length, 2);
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 2);
+    });
+
+    test('re-logs in on HTTP 401', async () => {
+        const client = newClient();
+        await client.login();
+        api.state.invalidTokenMode = 'status_401';
+        api.revokeTokens();
+
+        const res = await client.requestWithRetry('post', EP.verifyDailyTask);
+        assert.equal(res.data.code, 0);
+        assert.equal(api.callsTo(EP.authWallet).length, 2);
+    });
+
+    test('retries network errors and keeps the session afterwards', async () => {
+        const client = newClient();
+        await client.login();
+        api.fail(EP.verifyDailyTask, { type: 'network' });
+
+        const res = await client.requestWithRetry('post', EP.verifyDailyTask);
+        assert.equal(res.data.code, 0);
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 2);
+        assert.equal(api.callsTo(EP.authWallet).length, 1);
+    });
+
+    test('throws once retries are exhausted', async () => {
+        const client = newClient();
+        await client.login();
+        api.fail(EP.verifyDailyTask, { type: 'status', status: 500 }, 2);
+
+        await assert.rejects(client.requestWithRetry('post', EP.verifyDailyTask, {}, {}, 2), (e) => e instanceof ApiError && e.kind === 'server' && /status code 500/.test(e.message));
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 2);
+    });
+
+    test('treats a non-zero code in a 200 response as a business error and does not retry it', async () => {
+        const client = newClient();
+        await client.login();
+        api.fail(EP.createRequest, { type: 'body', body: { code: 2001, message: 'TITLE_REQUIRED' } });
+
+        await assert.rejects(client.requestWithRetry('post', EP.createRequest, { title: 't' }), { name: 'ApiError', kind: 'business', code: 2001, message: 'TITLE_REQUIRED' });
+        assert.equal(api.callsTo(EP.createRequest).length, 1);
+    });
+
+    test('requires an explicit code 0, except on verifyDailyTask', async () => {
+        const client = newClient();
+        api.fail(EP.loginWallet, { type: 'body', body: { data: { nonce: 'n' } } });
+        assert.equal(await client.login(), false);
+        assert.equal(client.lastError, 'Response without a code');
+
+        assert.equal(await client.login(), true);
+        api.fail(EP.verifyDailyTask, { type: 'body', body: { data: { is_create_request: true } } });
+        const res = await client.requestWithRetry('post', EP.verifyDailyTask);
+        assert.equal(res.data.data.is_create_request, true);
+    });
+
+    test('waits for Retry-After on HTTP 429, and gives up when it is beyond retryMaxDelayMs', async () => {
+        const client = newClient();
+        await client.login();
+        api.fail(EP.verifyDailyTask, { type: 'status', status: 429, headers: { 'Retry-After': '1' } });
+
+        const startedAt = Date.now();
+        const res = await client.requestWithRetry('post', EP.verifyDailyTask);
+        assert.equal(res.data.code, 0);
+        assert.ok(Date.now() - startedAt >= 950, 'waited for Retry-After instead of retryDelay');
+
+        api.fail(EP.verifyDailyTask, { type: 'status', status: 429, headers: { 'Retry-After': '3600' } });
+        await assert.rejects(client.requestWithRetry('post', EP.verifyDailyTask), { kind: 'rate_limited', retryAfterMs: 3600000 });
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 3);
+    });
+
+    test('defaults to retryAttempts from config', async () => {
+        const client = newClient();
+        await client.login();
+        const saved = CONFIG.retryAttempts;
+        CONFIG.retryAttempts = 3;
+        api.fail(EP.verifyDailyTask, { type: 'status', status: 502 }, 3);
+        try {
+            await assert.rejects(client.requestWithRetry('post', EP.verifyDailyTask), /status code 502/);
+        } finally {
+            CONFIG.retryAttempts = saved;
+        }
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 3);
+    });
+
+    test('sends a fresh tid header on every attempt', async () => {
+        const client = newClient();
+        await client.login();
+        api.fail(EP.verifyDailyTask, { type: 'status', status: 502 });
+
+        await client.requestWithRetry('post', EP.verifyDailyTask);
+        const [first, second] = api.callsTo(EP.verifyDailyTask).map(r => r.headers.tid);
+        assert.ok(first && second);
+        assert.notEqual(first, second);
+    });
+});
+
+describe('circuit breaker', () => {
+    test('pauses the account after repeated failures of the same kind', async () => {
+        const client = newClient({ breaker: new CircuitBreaker({ accountThreshold: 2, cooldownMs: 60000 }) });
+        await client.login();
+        api.fail(EP.verifyDailyTask, { type: 'status', status: 503 }, 2);
+
+        for (let i = 0; i < 2; i++) await assert.rejects(client.requestWithRetry('post', EP.verifyDailyTask, {}, {}, 1), { kind: 'server' });
+        await assert.rejects(client.requestWithRetry('post', EP.verifyDailyTask), /Circuit open \(account\): 2x server HTTP 503/);
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 2, 'no call while the circuit is open');
+
+        // Login is an API call too, so the whole run stops at once
+        const res = await client.runDailyTasks();
+        assert.equal(res.success, false);
+        assert.match(res.error, /Circuit open/);
+        assert.equal(client.breaker.check(client.address).kind, 'server');
+    });
+
+    test('records the error kind of a rejected create call', async () => {
+        const client = newClient();
+        api.state.farmTasks = [];
+        api.state.daily = { is_create_request: false, is_create_agent: true };
+        api.fail(EP.createRequest, { type: 'body', body: { code: 2001, message: 'TITLE_REQUIRED' } });
+        const res = await client.runDailyTasks();
+
+        assert.deepEqual(res.tasks[0], { task: 'request', outcome: 'api_failed', error: 'TITLE_REQUIRED', kind: 'business', code: 2001 });
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 0);
+    });
+});
+
+describe('session cache', () => {
+    const sharedKey = ethers.Wallet.createRandom().privateKey;
+
+    test('logs in once, then restores the session for the same account', async () => {
+        const sessions = new SessionStore(null, 'secret');
+        const first = new FourBSCClient(sharedKey, '', 90, { sessions });
+        clients.push(first);
+        assert.equal(await first.ensureSession(), true);
+        assert.equal(api.callsTo(EP.loginWallet).length, 1);
+
+        const second = new FourBSCClient(sharedKey, '', 90, { sessions });
+        clients.push(second);
+        assert.equal(await second.ensureSession(), true);
+        assert.equal(second.token, first.token);
+        assert.equal(api.callsTo(EP.loginWallet).length, 1);
+
+        const res = await second.requestWithRetry('post', EP.verifyDailyTask);
+        assert.equal(res.data.code, 0);
+        assert.equal(api.callsTo(EP.authWallet).length, 1);
+    });
+
+    test('re-logs in only when the server rejects the cached token, and caches the new one', async () => {
+        const sessions = new SessionStore(null, 'secret');
+        const first = new FourBSCClient(sharedKey, '', 91, { sessions });
+        clients.push(first);
+        await first.ensureSession();
+        const stale = first.token;
+        api.revokeTokens();
+
+        const second = new FourBSCClient(sharedKey, '', 91, { sessions });
+        clients.push(second);
+        await second.ensureSession();
+        assert.equal(api.callsTo(EP.authWallet).length, 1);
+
+        const res = await second.requestWithRetry('post', EP.verifyDailyTask);
+        assert.equal(res.data.code, 0);
+        assert.equal(api.callsTo(EP.authWallet).length, 2);
+        assert.notEqual(second.token, stale);
+        assert.equal(sessions.get(second.address).token, second.token);
+    });
+
+    test('an expired token is not reused', async () => {
+        const sessions = new SessionStore(null, 'secret');
+        const client = new FourBSCClient(sharedKey, '', 92, { sessions });
+        clients.push(client);
+        await sessions.set(client.address, 'jwt-expired', Date.now() - 1);
+
+        assert.equal(await client.ensureSession(), true);
+        assert.notEqual(client.token, 'jwt-expired');
+        assert.equal(api.callsTo(EP.authWallet).length, 1);
+    });
+});
+
+describe('sendRawTransaction()', () => {
+    test('sends calldata with the request selector and returns true on success', async () => {
+        const client = newClient();
+        const ok = await client.sendRawTransaction(FUNCTION_SELECTORS.SUBMIT_REQUEST, ['uint256', 'string'], [77, 'hello']);
+        assert.equal(ok, true);
+
+        const [tx] = rpc.sent();
+        assert.equal(tx.to.toLowerCase(), BSC_CONFIG.agentContract.toLowerCase());
+        assert.ok(tx.data.startsWith(FUNCTION_SELECTORS.SUBMIT_REQUEST));
+        const [id, title] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256', 'string'], '0x' + tx.data.slice(10));
+        assert.equal(id, 77n);
+        assert.equal(title, 'hello');
+        assert.equal(tx.gasLimit, (rpc.state.gasUsed * 120n) / 100n);
+    });
+
+    test('skips without sending when gas estimation reverts', async () => {
+        const client = newClient();
+        rpc.state.mode.estimate = 'revert';
+        const ok = await client.sendRawTransaction(FUNCTION_SELECTORS.SUBMIT_AGENT, ['uint256', 'string', 'string'], [1, 'a', 'b']);
+        assert.equal(ok, false);
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 0);
+    });
+
+    test('returns false for a mined-but-failed receipt without resending', async () => {
+        const client = newClient();
+        rpc.state.mode.receipt = 'failed';
+        const ok = await client.sendRawTransaction(FUNCTION_SELECTORS.SUBMIT_REQUEST, ['uint256', 'string'], [5, 'x']);
+        assert.equal(ok, false);
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 1);
+    });
+});
+
+describe('gas policy', () => {
+    test('sends at the network gas price and books the fee per account', async () => {
+        const gasBudget = new GasBudget({ maxGasPriceGwei: 3 });
+        const client = newClient({ gasBudget });
+        assert.equal(await client.sendRawTransaction(FUNCTION_SELECTORS.SUBMIT_REQUEST, ['uint256', 'string'], [1, 'a']), true);
+
+        assert.equal(rpc.sent()[0].gasPrice, rpc.state.gasPrice);
+        assert.equal(gasBudget.spentBy(client.address), rpc.state.gasUsed * rpc.state.gasPrice);
+        assert.equal(gasBudget.spentRun, gasBudget.spentDay);
+    });
+
+    test('refuses to send above the max gas price', async () => {
+        const client = newClient({ gasBudget: new GasBudget({ maxGasPriceGwei: 3 }) });
+        rpc.state.gasPrice = 5_000_000_000n;
+        assert.equal(await client.sendRawTransaction(FUNCTION_SELECTORS.SUBMIT_REQUEST, ['uint256', 'string'], [1, 'a']), false);
+        assert.equal(client.lastTx.blocked, 'Gas Too High');
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 0);
+    });
+
+    test('stops at the per-run spend cap', async () => {
+        const gasBudget = new GasBudget({ maxSpendPerRunBnb: '0.0001' });
+        const client = newClient({ gasBudget });
+        assert.equal(await client.sendRawTransaction(FUNCTION_SELECTORS.SUBMIT_REQUEST, ['uint256', 'string'], [1, 'a']), true);
+        assert.equal(await client.sendRawTransaction(FUNCTION_SELECTORS.SUBMIT_REQUEST, ['uint256', 'string'], [2, 'b']), false);
+        assert.equal(client.lastTx.blocked, 'Run Spend Cap');
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 1);
+
+        gasBudget.startRun();
+        assert.equal(gasBudget.check(1n), null);
+    });
+
+    test('reserves in-flight cost so parallel accounts cannot overshoot a cap', () => {
+        const gasBudget = new GasBudget({ maxSpendPerRunBnb: '0.001' });
+        const cost = ethers.parseEther('0.0006');
+        assert.equal(gasBudget.reserve(cost), null);
+        assert.equal(gasBudget.reserve(cost), 'Run Spend Cap');
+        gasBudget.release(cost);
+        assert.equal(gasBudget.reserve(cost), null);
+    });
+
+    test('counts spend carried over from earlier today against the daily cap', () => {
+        const gasBudget = new GasBudget({ maxSpendPerDayBnb: '0.001' }, ethers.parseEther('0.001'));
+        assert.equal(gasBudget.check(1n), 'Daily Spend Cap');
+    });
+
+    test('skips an account below the minimum balance before logging in', async () => {
+        const client = newClient({ gasBudget: new GasBudget({ minBalanceBnb: '0.01' }) });
+        rpc.state.balance = ethers.parseEther('0.001');
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.status, 'Low Balance');
+        assert.equal(res.lowBalance, true);
+        assert.equal(api.callsTo(EP.loginWallet).length, 0);
+    });
+});
+
+describe('nonce management', () => {
+    const REQUEST = [FUNCTION_SELECTORS.SUBMIT_REQUEST, ['uint256', 'string'], [9, 'stuck']];
+
+    let saved;
+    before(() => {
+        saved = CONFIG.pendingTx;
+        CONFIG.pendingTx = { waitTimeoutMs: 300, pollIntervalMs: 50, gasBumpPercent: 15, maxReplacements: 2 };
+    });
+    after(() => { CONFIG.pendingTx = saved; });
+
+    async function untilSent(count) {
+        while (rpc.sent().length < count) await new Promise(r => setTimeout(r, 20));
+        return rpc.sent();
+    }
+
+    test('speeds up a stuck tx with the same nonce instead of sending a new one', async () => {
+        const client = newClient();
+        rpc.state.mode.receipt = 'none';
+        const pending = client.sendRawTransaction(...REQUEST);
+
+        const [first, second] = await untilSent(2);
+        rpc.mine(second.hash);
+        assert.equal(await pending, true);
+
+        assert.equal(second.nonce, first.nonce);
+        assert.equal(second.data, first.data);
+        assert.equal(second.gasPrice, (first.gasPrice * 115n) / 100n);
+        assert.equal(client.lastTx.hash, second.hash);
+        assert.deepEqual(client.db.getPending(client.address), []);
+    });
+
+    test('does not replace a stuck tx when the bumped cost would break a spend cap', async () => {
+        const cost = ((rpc.state.gasUsed * 120n) / 100n) * rpc.state.gasPrice;
+        const gasBudget = new GasBudget({ maxSpendPerRunBnb: ethers.formatEther(cost) });
+        const client = newClient({ gasBudget });
+        rpc.state.mode.receipt = 'none';
+
+        assert.equal(await client.sendRawTransaction(...REQUEST), false);
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 1, 'no speed-up sent');
+        assert.equal(client.db.getPending(client.address).length, 1);
+        assert.equal(gasBudget.reserved, 0n);
+
+        // A leftover from an earlier run has nothing reserved: its replacement needs the full cost
+        gasBudget.record(client.address, 1n);
+        await client.reconcilePending();
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 1);
+        assert.equal(gasBudget.reserved, 0n);
+    });
+
+    test('still succeeds when the original tx is mined after a replacement was sent', async () => {
+        const client = newClient();
+        rpc.state.mode.receipt = 'none';
+        const pending = client.sendRawTransaction(...REQUEST);
+
+        const [first] = await untilSent(2);
+        rpc.mine(first.hash);
+        assert.equal(await pending, true);
+        assert.equal(client.lastTx.hash, first.hash);
+    });
+
+    test('cancels with a 0 BNB self-transfer in cancel mode', async () => {
+        CONFIG.pendingTx.replaceMode = 'cancel';
+        try {
+            const client = newClient();
+            rpc.state.mode.receipt = 'none';
+            const pending = client.sendRawTransaction(...REQUEST);
+
+            const [first, second] = await untilSent(2);
+            rpc.mine(second.hash);
+            assert.equal(await pending, false);
+            assert.equal(second.nonce, first.nonce);
+            assert.equal(second.to, client.address);
+            assert.equal(second.data, '0x');
+            assert.equal(client.lastTx.error, 'Tx Cancelled');
+        } finally {
+            delete CONFIG.pendingTx.replaceMode;
+        }
+    });
+
+    test('blocks new submissions while a tx is pending and reconciles it on the next run', async () => {
+        CONFIG.pendingTx.maxReplacements = 0;
+        try {
+            const db = new WalletDB(null);
+            const privateKey = ethers.Wallet.createRandom().privateKey;
+            const crashed = new FourBSCClient(privateKey, '', 90, { db });
+            clients.push(crashed);
+            rpc.state.mode.receipt = 'none';
+
+            assert.equal(await crashed.sendRawTransaction(...REQUEST), false);
+            assert.equal(db.getPending(crashed.address).length, 1);
+            assert.equal(await crashed.sendRawTransaction(...REQUEST), false);
+            assert.equal(crashed.lastTx.blocked, 'Pending Tx');
+            assert.equal(rpc.countOf('eth_sendRawTransaction'), 1);
+
+            rpc.mine(rpc.sent()[0].hash);
+            const restarted = new FourBSCClient(privateKey, '', 90, { db });
+            clients.push(restarted);
+            await restarted.reconcilePending();
+
+            assert.deepEqual(db.getPending(restarted.address), []);
+            assert.equal(restarted.tasks[0].task, 'recovered_tx');
+            assert.equal(restarted.tasks[0].outcome, 'success');
+            assert.equal(restarted.tasks[0].txHash, rpc.sent()[0].hash);
+        } finally {
+            CONFIG.pendingTx.maxReplacements = 2;
+        }
+    });
+
+    test('does not take a fresh tx for dropped while a lagging RPC does not know it yet', async () => {
+        const client = newClient();
+        rpc.state.mode.receipt = 'none';
+        rpc.state.lookupMisses = 2;
+        const pending = client.sendRawTransaction(...REQUEST);
+
+        const [first] = await untilSent(1);
+        while (rpc.countOf('eth_getTransactionByHash') < 3) await new Promise(r => setTimeout(r, 20));
+        rpc.mine(first.hash);
+        assert.equal(await pending, true);
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 1);
+    });
+
+    test('re-broadcasts a fresh tx that dropped without using up a replacement', async () => {
+        const saved = CONFIG.pendingTx.maxReplacements;
+        CONFIG.pendingTx.maxReplacements = 0;
+        try {
+            const client = newClient();
+            rpc.state.mode.receipt = 'none';
+            const pending = client.sendRawTransaction(...REQUEST);
+
+            const [first] = await untilSent(1);
+            rpc.drop(first.hash);
+            const [, again] = await untilSent(2);
+            rpc.mine(again.hash);
+
+            assert.equal(await pending, true);
+            assert.equal(again.hash, first.hash, 'same signed tx, same gas price');
+        } finally {
+            CONFIG.pendingTx.maxReplacements = saved;
+        }
+    });
+
+    test('re-broadcasts a leftover tx that dropped out of the mempool', async () => {
+        CONFIG.pendingTx.maxReplacements = 0;
+        try {
+            const client = newClient();
+            rpc.state.mode.receipt = 'none';
+            await client.sendRawTransaction(...REQUEST);
+            const [first] = rpc.sent();
+            rpc.drop(first.hash);
+
+            rpc.state.mode.receipt = 'success';
+            CONFIG.pendingTx.maxReplacements = 1;
+            await client.reconcilePending();
+
+            const [, rebroadcast] = rpc.sent();
+            assert.equal(rebroadcast.nonce, first.nonce);
+            assert.equal(rebroadcast.gasPrice, first.gasPrice);
+            assert.equal(client.tasks.at(-1).outcome, 'success');
+        } finally {
+            CONFIG.pendingTx.maxReplacements = 2;
+        }
+    });
+});
+
+describe('runDailyTasks()', () => {
+    test('creates and submits both tasks, farms open tasks and reports stats', async () => {
+        const client = newClient();
+        const res = await client.runDailyTasks();
+
+        assert.equal(res.success, true);
+        assert.equal(res.status, 'Work Done');
+        assert.equal(res.farm, '2/2');
+        assert.equal(res.stats.points, 100);
+        assert.equal(res.stats.rank, 42);
+
+        const selectors = rpc.sent().map(tx => tx.data.slice(0, 10));
+        assert.deepEqual(selectors, [FUNCTION_SELECTORS.SUBMIT_REQUEST, FUNCTION_SELECTORS.SUBMIT_AGENT]);
+        assert.deepEqual(api.callsTo(EP.farm).map(r => r.body.task_id), [1]);
+        assert.deepEqual(api.callsTo(EP.finishTask).map(r => r.body.task_id), [1]);
+
+        const [request, agent] = res.tasks;
+        assert.equal(request.outcome, 'success');
+        assert.equal(request.id, 1000);
+        assert.equal(request.txHash, rpc.sent()[0].hash);
+        assert.equal(request.gasUsed, Number(rpc.state.gasUsed));
+        assert.equal(agent.id, 1001);
+        assert.deepEqual(res.tasks.map(t => t.task), ['request', 'agent', 'farm:1']);
+    });
+
+    test('confirms each submission by its contract event and the server flags', async () => {
+        const client = newClient();
+        api.state.farmTasks = [];
+        const res = await client.runDailyTasks();
+
+        assert.equal(res.status, 'Work Done');
+        for (const task of res.tasks) {
+            assert.equal(task.outcome, 'success');
+            assert.equal(task.eventFound, true);
+            assert.equal(task.serverConfirmed, true);
+        }
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 2);
+    });
+
+    test('reports Unconfirmed when the tx is mined but the server still says NOT DONE', async () => {
+        const client = newClient();
+        api.state.farmTasks = [];
+        api.state.daily = { is_create_request: false, is_create_agent: true };
+        // initial check + every confirmation poll see the request as not done
+        api.fail(EP.verifyDailyTask, { type: 'body', body: { code: 0, data: { is_create_request: false, is_create_agent: true } } }, 1 + CONFIG.confirmation.serverChecks);
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.success, true);
+        assert.equal(res.status, 'Unconfirmed');
+        const [request] = res.tasks;
+        assert.equal(request.outcome, 'unconfirmed');
+        assert.equal(request.serverConfirmed, false);
+        assert.equal(request.error, 'Tx mined but server still reports NOT DONE');
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 1 + CONFIG.confirmation.serverChecks);
+    });
+
+    test('keeps the run successful and marks the submissions unconfirmed when the server re-check fails', async () => {
+        const client = newClient();
+        api.fail(EP.verifyDailyTask, { type: 'body', body: { code: 0, data: { is_create_request: false, is_create_agent: false } } });
+        api.fail(EP.verifyDailyTask, { type: 'body', body: { code: 5001, message: 'MAINTENANCE' } });
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.success, true);
+        assert.equal(res.status, 'Unconfirmed');
+        assert.equal(res.farm, '2/2', 'the farm phase still runs');
+        const [request, agent] = res.tasks;
+        assert.equal(request.outcome, 'unconfirmed');
+        assert.equal(request.error, 'Server check failed [business 5001]: MAINTENANCE');
+        assert.equal(request.serverConfirmed, null);
+        assert.equal(agent.outcome, 'unconfirmed');
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 2);
+    });
+
+    test('reports Unconfirmed when the receipt has no contract event for the ID', async () => {
+        const client = newClient();
+        api.state.farmTasks = [];
+        api.state.daily = { is_create_request: true, is_create_agent: false };
+        rpc.state.mode.logs = 'none';
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.status, 'Unconfirmed');
+        const agent = res.tasks.find(t => t.task === 'agent');
+        assert.equal(agent.outcome, 'unconfirmed');
+        assert.equal(agent.eventFound, false);
+        assert.equal(agent.serverConfirmed, true);
+    });
+
+    test('records the created ID and error when the on-chain step fails', async () => {
+        const client = newClient();
+        api.state.daily = { is_create_request: false, is_create_agent: true };
+        api.state.farmTasks = [];
+        rpc.state.mode.estimate = 'revert';
+
+        const res = await client.runDailyTasks();
+        const [request] = res.tasks;
+        assert.equal(request.outcome, 'tx_failed');
+        assert.equal(request.id, 1000);
+        assert.match(request.error, /Gas Estimate Reverted/);
+    });
+
+    test('keeps a created request queued and resumes it next run instead of creating a new one', async () => {
+        const db = new WalletDB(null);
+        const privateKey = ethers.Wallet.createRandom().privateKey;
+        api.state.daily = { is_create_request: false, is_create_agent: true };
+        api.state.farmTasks = [];
+        rpc.state.gasPrice = 10_000_000_000n; // above the 3 gwei cap of TEST_CONFIG.gasPolicy
+
+        const first = new FourBSCClient(privateKey, '', 91, { db });
+        clients.push(first);
+        const res1 = await first.runDailyTasks();
+        assert.equal(res1.tasks[0].outcome, 'blocked');
+        assert.deepEqual(db.getUnsubmitted(first.address).map(r => [r.task, r.id]), [['request', 1000]]);
+        const { title } = db.getUnsubmitted(first.address)[0].params;
+
+        rpc.state.gasPrice = 1_000_000_000n;
+        api.reset();
+        const second = new FourBSCClient(privateKey, '', 91, { db });
+        clients.push(second);
+        const res2 = await second.runDailyTasks();
+
+        assert.equal(res2.status, 'Work Done');
+        assert.equal(api.callsTo(EP.createRequest).length, 0);
+        assert.deepEqual(db.getUnsubmitted(second.address), []);
+        assert.equal(res2.tasks[0].resumed, true);
+        const [, sentTitle] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256', 'string'], '0x' + rpc.sent()[0].data.slice(10));
+        assert.equal(sentTitle, title);
+    });
+
+    test('does not create a second task after resuming a queued one while the flag was still false', async () => {
+        const client = newClient();
+        api.state.daily = { is_create_request: false, is_create_agent: true };
+        api.state.flagOnCreate = false;
+        api.state.farmTasks = [];
+        // The server only marks the request done once its submission is mined
+        rpc.state.onMine = (tx, status) => {
+            if (status && tx.data.startsWith(FUNCTION_SELECTORS.SUBMIT_REQUEST)) api.state.daily.is_create_request = true;
+        };
+        await client.db.addUnsubmitted(client.address, { task: 'request', id: 555, params: { title: 'queued' }, createdAt: 0, attempts: 0 });
+
+        const res = await client.runDailyTasks();
+        assert.equal(api.callsTo(EP.createRequest).length, 0);
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 1);
+        assert.deepEqual(res.tasks.map(t => [t.task, t.outcome, t.id]), [['request', 'success', 555], ['agent', 'already_done', undefined]]);
+        assert.equal(res.status, 'Work Done');
+    });
+
+    test('abandons a queued record after too many failed attempts', async () => {
+        const client = newClient();
+        await client.db.addUnsubmitted(client.address, { task: 'agent', id: 55, params: { name: 'a', description: 'b' }, createdAt: 0, attempts: 5, lastError: 'boom' });
+        await client.resumeUnsubmitted();
+
+        assert.deepEqual(client.db.getUnsubmitted(client.address), []);
+        assert.equal(client.tasks[0].outcome, 'abandoned');
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 0);
+    });
+
+    test('does nothing on-chain when the server reports both tasks done', async () => {
+        const client = newClient();
+        api.state.daily = { is_create_request: true, is_create_agent: true };
+        api.state.farmTasks = [];
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.status, 'Already Done');
+        assert.equal(api.callsTo(EP.createRequest).length, 0);
+        assert.equal(api.callsTo(EP.createRepositories).length, 0);
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 0);
+    });
+
+    test('runs a task defined in JSON like the built-in ones', async () => {
+        registerTask({
+            key: 'dataset', label: 'Dataset', flag: 'is_create_dataset', endpoint: '/api/front/create/dataset',
+            body: { name: '$agentName', summary: '$description', public: true }, idPath: 'dataset.id',
+            selector: '0x12345678', types: ['uint256', 'string'], args: ['$id', 'name']
+        });
+        api.on('/api/front/create/dataset', ({ body }) => {
+            api.state.daily.is_create_dataset = true;
+            return { code: 0, message: 'success', data: { dataset: { id: 77, name: body.name } } };
+        });
+        try {
+            const client = newClient();
+            api.state.farmTasks = [];
+            api.state.daily = { is_create_request: true, is_create_agent: true, is_create_dataset: false };
+            const res = await client.runDailyTasks();
+
+            const [call] = api.callsTo('/api/front/create/dataset');
+            assert.equal(call.body.public, true);
+            assert.equal(typeof call.body.summary, 'string');
+            const [tx] = rpc.sent();
+            assert.equal(tx.data, ethers.concat(['0x12345678', ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'string'], [77, call.body.name])]));
+
+            assert.equal(res.status, 'Work Done');
+            assert.deepEqual(res.tasks.map(t => [t.task, t.outcome]), [['request', 'already_done'], ['agent', 'already_done'], ['dataset', 'success']]);
+            assert.equal(res.tasks[2].serverConfirmed, true);
+            assert.equal(client.db.getUnsubmitted(client.address).length, 0);
+        } finally {
+            delete TASKS.dataset;
+            api.off('/api/front/create/dataset');
+        }
+    });
+
+    test('stops creating and broadcasting once the run is aborted', async () => {
+        const client = newClient();
+        // The account timeout fires while the Request create call is in flight
+        api.state.onRequest = ({ path }) => { if (path === EP.createRequest) client.abort('Account Timeout'); };
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.success, false);
+        assert.match(res.error, /Account Timeout/);
+        assert.equal(api.callsTo(EP.createRequest).length, 1);
+        assert.equal(api.callsTo(EP.createRepositories).length, 0);
+        assert.equal(api.callsTo(EP.farm).length, 0);
+        assert.equal(rpc.sent().length, 0);
+        assert.equal(client.breaker.check(client.address), null, 'an abort is not an API failure');
+    });
+
+    test('does not broadcast a queued record after an abort', async () => {
+        const client = newClient();
+        await client.db.addUnsubmitted(client.address, { task: 'request', id: 7, params: { title: 't' }, createdAt: Date.now(), attempts: 0 });
+        api.state.onRequest = ({ path }) => { if (path === EP.verifyDailyTask) client.abort('Account Timeout'); };
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.success, false);
+        assert.equal(rpc.sent().length, 0);
+        assert.equal(client.db.getUnsubmitted(client.address, 'request').length, 1, 'kept for the next run');
+    });
+
+    test('reports Login Failed when authentication is rejected', async () => {
+        const client = newClient();
+        api.fail(EP.authWallet, { type: 'body', body: { code: 1002, message: 'SIGNATURE_INVALID' } });
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.success, false);
+        assert.equal(res.status, 'Login Failed');
+        assert.equal(res.error, 'SIGNATURE_INVALID');
+    });
+});
+
+describe('dry run', () => {
+    test('simulates both submissions with the real selectors without creating or broadcasting anything', async () => {
+        const client = newClient({ dryRun: true });
+        const res = await client.runDailyTasks();
+
+        assert.equal(res.success, true);
+        assert.equal(res.status, 'Dry Run OK');
+        assert.equal(api.callsTo(EP.verifyDailyTask).length, 1);
+        assert.equal(api.callsTo(EP.createRequest).length, 0);
+        assert.equal(api.callsTo(EP.createRepositories).length, 0);
+        assert.equal(api.callsTo(EP.farm).length, 0);
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 0);
+
+        const simulated = rpc.calls.filter(c => c.method === 'eth_call').map(c => c.params[0].data.slice(0, 10));
+        assert.deepEqual(simulated, [FUNCTION_SELECTORS.SUBMIT_REQUEST, FUNCTION_SELECTORS.SUBMIT_AGENT]);
+
+        const expectedFee = (rpc.state.gasUsed * 120n / 100n) * rpc.state.gasPrice;
+        assert.deepEqual(res.tasks.map(t => [t.task, t.outcome, t.estimatedFeeWei]), [
+            ['request', 'simulated', expectedFee.toString()],
+            ['agent', 'simulated', expectedFee.toString()]
+        ]);
+        assert.equal(res.estimatedCostWei, expectedFee * 2n);
+        assert.equal(client.gasBudget.reserved, 0n);
+    });
+
+    test('uses the queued record ID and reports a would-be revert', async () => {
+        const client = newClient({ dryRun: true });
+        api.state.daily = { is_create_request: true, is_create_agent: true };
+        await client.db.addUnsubmitted(client.address, { task: 'agent', id: 77, params: { name: 'n', description: 'd' }, createdAt: 0, attempts: 0 });
+        rpc.state.mode.estimate = 'revert';
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.status, 'Dry Run (Would Fail)');
+        const agent = res.tasks.find(t => t.task === 'agent');
+        assert.equal(agent.outcome, 'would_revert');
+        assert.equal(agent.id, 77);
+        assert.equal(client.db.getUnsubmitted(client.address).length, 1);
+    });
+
+    test('reports what the gas policy would block', async () => {
+        const client = newClient({ dryRun: true });
+        api.state.daily = { is_create_request: false, is_create_agent: true };
+        rpc.state.gasPrice = 10_000_000_000n;
+
+        const res = await client.runDailyTasks();
+        assert.equal(res.status, 'Dry Run (Blocked: Gas Too High)');
+        assert.equal(rpc.countOf('eth_sendRawTransaction'), 0);
+    });
+});
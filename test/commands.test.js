@@ -0,0 +1,109 @@
+import { test, describe, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { ethers } from 'ethers';
+import { startApiServer } from './mocks/api-server.js';
+import { startRpcNode } from './mocks/rpc-node.js';
+import { pinConfig } from './mocks/config.js';
+
+// The data files live in a temp dir; set before index.js computes its paths
+const dir = await fs.mkdtemp(join(os.tmpdir(), 'sipal-commands-'));
+process.env.SIPAL_DATA_DIR = dir;
+process.env.SIPAL_KEYSTORE_PASSWORD = 'test-pass';
+const { COMMANDS, WalletDB, CONFIG, BSC_CONFIG } = await import('../index.js');
+
+const DB_PATH = join(dir, 'wallet_db.json');
+const LOCK_PATH = `${DB_PATH}.lock`;
+const DEAD_PID = 4194305; // above Linux pid_max, never a live process
+const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+let api;
+let rpc;
+let restoreConfig;
+
+async function readDb() {
+    return JSON.parse(await fs.readFile(DB_PATH, 'utf8'));
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    api = await startApiServer(CONFIG.endpoints);
+    rpc = await startRpcNode({ chainId: 56 });
+    restoreConfig = pinConfig(CONFIG, BSC_CONFIG, {
+        config: { baseUrl: api.url },
+        bsc: { rpcUrl: rpc.url, chainId: 56, agentContract: '0xb3ad998af21485562ecd7ea700ef695135cbb491' }
+    });
+
+    const accounts = wallets.map(w => ({
+        address: w.address, proxy: '',
+        keystore: JSON.parse(ethers.encryptKeystoreJsonSync({ address: w.address, privateKey: w.privateKey }, 'test-pass', { scrypt: { N: 1024 } }))
+    }));
+    await fs.writeFile(join(dir, 'keystore.json'), JSON.stringify({ version: 1, accounts }));
+});
+
+after(async () => {
+    await api.close();
+    await rpc.close();
+    restoreConfig();
+    await fs.rm(dir, { recursive: true, force: true });
+    mock.restoreAll();
+});
+
+beforeEach(async () => {
+    await fs.rm(LOCK_PATH, { force: true });
+    const db = new WalletDB(DB_PATH);
+    for (const w of wallets) await db.updateNextRunTime(w.address, Date.now() + 60 * 60 * 1000);
+});
+
+describe('reset-cooldown', () => {
+    test('makes every account due and releases the lock', async () => {
+        await COMMANDS['reset-cooldown'](['reset-cooldown']);
+        const data = await readDb();
+        assert.deepEqual(wallets.map(w => data.accounts[w.address.toLowerCase()].nextRun), [0, 0]);
+        await assert.rejects(fs.access(LOCK_PATH));
+    });
+
+    test('refuses while a running bot holds wallet_db.json', async () => {
+        await fs.writeFile(LOCK_PATH, String(process.ppid));
+        await assert.rejects(COMMANDS['reset-cooldown'](['reset-cooldown', '--account', '1']), /in use by a running bot \(pid \d+\)/);
+        assert.ok((await readDb()).accounts[wallets[0].address.toLowerCase()].nextRun > Date.now());
+        assert.equal(await fs.readFile(LOCK_PATH, 'utf8'), String(process.ppid), 'the bot keeps its lock');
+    });
+
+    test('takes over a lock left by a process that died', async () => {
+        await fs.writeFile(LOCK_PATH, String(DEAD_PID));
+        await COMMANDS['reset-cooldown'](['reset-cooldown', '--account', wallets[1].address]);
+        assert.equal((await readDb()).accounts[wallets[1].address.toLowerCase()].nextRun, 0);
+    });
+});
+
+describe('run', () => {
+    test('runs one account despite its cooldown and writes its history', async () => {
+        await COMMANDS.run(['run', '--account', '2']);
+        const data = await readDb();
+        assert.equal(data.runs.length, 1);
+        assert.equal(data.runs[0].address, wallets[1].address.toLowerCase());
+        assert.equal(data.runs[0].status, 'Work Done');
+        assert.equal(api.callsTo(CONFIG.endpoints.createRequest).length, 1);
+        await assert.rejects(fs.access(LOCK_PATH));
+    });
+
+    test('refuses while a running bot holds wallet_db.json, before asking for the passphrase', async () => {
+        await fs.writeFile(LOCK_PATH, String(process.ppid));
+        const calls = api.requests.length;
+        await assert.rejects(COMMANDS.run(['run', '--account', '1']), /in use by a running bot/);
+        assert.equal(api.requests.length, calls);
+    });
+
+    test('a dry run never writes wallet_db.json, even while a bot holds it', async () => {
+        await fs.writeFile(LOCK_PATH, String(process.ppid));
+        const before = JSON.stringify(await readDb()); // compact, so any rewrite by the bot's save() would show
+        await fs.writeFile(DB_PATH, before);
+        const creates = api.callsTo(CONFIG.endpoints.createRequest).length;
+        await COMMANDS.run(['run', '--account', '1', '--dry-run']);
+        assert.equal(await fs.readFile(DB_PATH, 'utf8'), before);
+        assert.equal(await fs.readFile(LOCK_PATH, 'utf8'), String(process.ppid), 'the bot keeps its lock');
+        assert.equal(api.callsTo(CONFIG.endpoints.createRequest).length, creates);
+    });
+});
@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { resolveConfig, validateConfig } from '../index.js';
+
+const FILE = JSON.parse(await fs.readFile(new URL('../config.json', import.meta.url), 'utf8'));
+
+describe('resolveConfig()', () => {
+    test('fills defaults for keys config.json does not set', () => {
+        const { timeouts, ...rest } = FILE;
+        const config = resolveConfig(rest, { env: {} });
+        assert.equal(config.timeouts.rpcMs, 10000);
+        assert.equal(config.profile, null);
+    });
+
+    test('applies a named profile over the base config', () => {
+        const config = resolveConfig(FILE, { profile: 'testnet', env: {} });
+        assert.equal(config.profile, 'testnet');
+        assert.equal(config.bscConfig.chainId, 97);
+        assert.equal(config.gasPolicy.maxGasPriceGwei, 10);
+        assert.equal(config.gasPolicy.minBalanceBnb, FILE.gasPolicy.minBalanceBnb);
+        assert.equal(FILE.bscConfig.chainId, 56, 'file config is not mutated');
+    });
+
+    test('takes the profile from SIPAL_PROFILE and rejects unknown ones', () => {
+        assert.equal(resolveConfig(FILE, { env: { SIPAL_PROFILE: 'testnet' } }).bscConfig.chainId, 97);
+        assert.throws(() => resolveConfig(FILE, { profile: 'devnet', env: {} }), /Unknown profile "devnet" \(available: testnet\)/);
+    });
+
+    test('env overrides win over file and profile, with JSON values parsed', () => {
+        const config = resolveConfig(FILE, {
+            profile: 'testnet',
+            env: { SIPAL__bscConfig__rpcUrl: 'https://rpc.example', SIPAL__concurrency: '4', SIPAL__statusApi__enabled: 'true' }
+        });
+        assert.equal(config.bscConfig.rpcUrl, 'https://rpc.example');
+        assert.equal(config.concurrency, 4);
+        assert.equal(config.statusApi.enabled, true);
+    });
+});
+
+describe('validateConfig()', () => {
+    test('accepts the shipped config.json', () => {
+        assert.deepEqual(validateConfig(resolveConfig(FILE, { env: {} })), []);
+    });
+
+    test('lists every problem with its path', () => {
+        const { endpoints, ...rest } = FILE;
+        const config = resolveConfig({ ...rest, concurrency: 0, bscConfig: { ...FILE.bscConfig, rpcUrl: 'bsc' } }, { env: {} });
+        config.pendingTx.replaceMode = 'boost';
+        config.notifications.sinks = [{ type: 'telegram', events: ['cycle_summary', 'oops'] }];
+
+        const errors = validateConfig(config);
+        assert.ok(errors.includes('endpoints.loginWallet: is required'));
+        assert.ok(errors.includes('concurrency: must be >= 1 (got 0)'));
+        assert.ok(errors.includes('bscConfig.rpcUrl: must be an http(s) URL (got "bsc")'));
+        assert.ok(errors.includes('pendingTx.replaceMode: must be one of speedup, cancel (got "boost")'));
+        assert.ok(errors.includes('notifications.sinks[0].events: unknown event(s) oops'));
+        assert.ok(errors.includes('notifications.sinks[0]: botToken and chatId are required'));
+    });
+
+    test('needs at least one RPC endpoint, from rpcUrl or rpcUrls', () => {
+        const { rpcUrl, ...bscConfig } = FILE.bscConfig;
+        const listOnly = resolveConfig({ ...FILE, bscConfig }, { env: {} });
+        assert.deepEqual(validateConfig(listOnly), []);
+
+        listOnly.bscConfig.rpcUrls = [];
+        assert.deepEqual(validateConfig(listOnly), ['bscConfig.rpcUrl: is required (or list endpoints in bscConfig.rpcUrls)']);
+        listOnly.bscConfig.rpcUrls = ['bsc'];
+        assert.deepEqual(validateConfig(listOnly), ['bscConfig.rpcUrls: must be a list of http(s) URLs (got ["bsc"])']);
+    });
+
+    test('checks task definitions in tasks.custom', () => {
+        const config = resolveConfig(FILE, { env: {} });
+        config.tasks = {
+            custom: [{ key: 'dataset', flag: 'is_create_dataset', endpoint: 'create/dataset', body: {}, selector: '0x12345678', types: ['uint256'], args: ['$id'] }, 'vote'],
+            plugins: [42]
+        };
+        assert.deepEqual(validateConfig(config), [
+            'tasks.custom[0].endpoint: must be a path starting with / or a key of endpoints',
+            'tasks.custom[1]: must be an object',
+            'tasks.plugins: must be a list of file paths'
+        ]);
+    });
+
+    test('a profile on another chain needs its own contract address', () => {
+        assert.deepEqual(validateConfig(resolveConfig(FILE, { profile: 'testnet', env: {} })), [
+            'bscConfig.agentContract: is required for profile "testnet" (chain 97): set profiles.testnet.bscConfig.agentContract or SIPAL__bscConfig__agentContract'
+        ]);
+        const address = '0x000000000000000000000000000000000000dEaD';
+        assert.deepEqual(validateConfig(resolveConfig(FILE, { profile: 'testnet', env: { SIPAL__bscConfig__agentContract: address } })), []);
+
+        const file = structuredClone(FILE);
+        file.profiles.testnet.bscConfig.agentContract = address;
+        assert.equal(resolveConfig(file, { profile: 'testnet', env: {} }).bscConfig.agentContract, address);
+        file.profiles.slow = { gasPolicy: { maxGasPriceGwei: 1 } };
+        assert.equal(resolveConfig(file, { profile: 'slow', env: {} }).bscConfig.agentContract, FILE.bscConfig.agentContract, 'same chain: inherited');
+    });
+
+    test('flags a profile that leaves the contract address empty', () => {
+        const file = { ...FILE, profiles: { local: { bscConfig: { agentContract: '' } } } };
+        const errors = validateConfig(resolveConfig(file, { profile: 'local', env: {} }));
+        assert.deepEqual(errors, ['bscConfig.agentContract: must be a 0x contract address (got "")']);
+    });
+
+    test('checks the cron time zone, leaving it empty for the local zone', () => {
+        const zone = (timezone) => validateConfig(resolveConfig({ ...FILE, schedule: { ...FILE.schedule, cron: '0 * * * *', timezone } }, { env: {} }));
+        assert.deepEqual(zone(''), []);
+        assert.deepEqual(zone('Asia/Jakarta'), []);
+        assert.deepEqual(zone('Foo/Bar'), ['schedule.timezone: must be an IANA time zone such as "UTC" or "Asia/Jakarta" (got "Foo/Bar")']);
+    });
+
+    test('checks the delays', () => {
+        const errors = validateConfig(resolveConfig({ ...FILE, delays: { afterCreateMs: -1, farmStepMs: '2s' } }, { env: {} }));
+        assert.deepEqual(errors, ['delays.afterCreateMs: must be >= 0 (got -1)', 'delays.farmStepMs: must be an integer (got "2s")']);
+    });
+
+    test('keystore.scryptN must be a power of 2 of at least 1024', () => {
+        assert.deepEqual(validateConfig(resolveConfig({ ...FILE, keystore: { scryptN: 3000 } }, { env: {} })), ['keystore.scryptN: must be a power of 2 (got 3000)']);
+        assert.deepEqual(validateConfig(resolveConfig({ ...FILE, keystore: { scryptN: 512 } }, { env: {} })), ['keystore.scryptN: must be >= 1024 (got 512)']);
+    });
+});
@@ -0,0 +1,95 @@
+import { test, describe, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { ethers } from 'ethers';
+import { pinConfig } from './mocks/config.js';
+
+// accounts.json / keystore.json live in a temp dir; set before index.js computes its paths
+const dir = await fs.mkdtemp(join(os.tmpdir(), 'sipal-keystore-'));
+process.env.SIPAL_DATA_DIR = dir;
+const { COMMANDS, unlockAccounts, CONFIG, BSC_CONFIG } = await import('../index.js');
+
+const ACCOUNTS_PATH = join(dir, 'accounts.json');
+const KEYSTORE_PATH = join(dir, 'keystore.json');
+const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+let restoreConfig;
+
+async function importWith(passphrase, accounts) {
+    process.env.SIPAL_KEYSTORE_PASSWORD = passphrase;
+    await fs.writeFile(ACCOUNTS_PATH, JSON.stringify(accounts));
+    await COMMANDS.import(['import']);
+}
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    restoreConfig = pinConfig(CONFIG, BSC_CONFIG, { config: { keystore: { scryptN: 1024 } } });
+});
+
+after(async () => {
+    restoreConfig();
+    mock.restoreAll();
+    delete process.env.SIPAL_KEYSTORE_PASSWORD;
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    await fs.rm(KEYSTORE_PATH, { force: true });
+});
+
+describe('import', () => {
+    test('encrypts plaintext accounts.json, keeping proxy and window', async () => {
+        await importWith('pass-1', [
+            { privateKey: wallets[0].privateKey, proxy: 'http://user:pw@127.0.0.1:8080', window: '08:00-10:00' },
+            { privateKey: wallets[1].privateKey }
+        ]);
+
+        const raw = await fs.readFile(KEYSTORE_PATH, 'utf8');
+        assert.ok(!raw.includes(wallets[0].privateKey.slice(2)), 'no private key in clear text');
+        const { accounts } = JSON.parse(raw);
+        assert.deepEqual(accounts.map(a => a.address), wallets.map(w => w.address));
+        assert.equal(accounts[0].proxy, 'http://user:pw@127.0.0.1:8080');
+        assert.equal(accounts[0].window, '08:00-10:00');
+        assert.equal(accounts[1].proxy, '');
+        assert.equal(accounts[0].keystore.Crypto.kdfparams.n, 1024);
+        if (process.platform !== 'win32') assert.equal((await fs.stat(KEYSTORE_PATH)).mode & 0o777, 0o600);
+    });
+
+    test('adds only new accounts on a later import with the same passphrase', async () => {
+        await importWith('pass-1', [{ privateKey: wallets[0].privateKey }]);
+        await importWith('pass-1', [{ privateKey: wallets[0].privateKey }, { privateKey: wallets[1].privateKey }]);
+
+        const { accounts } = JSON.parse(await fs.readFile(KEYSTORE_PATH, 'utf8'));
+        assert.deepEqual(accounts.map(a => a.address), wallets.map(w => w.address));
+    });
+
+    test('refuses to mix passphrases in one keystore', async () => {
+        await importWith('pass-1', [{ privateKey: wallets[0].privateKey }]);
+        await assert.rejects(importWith('pass-2', [{ privateKey: wallets[1].privateKey }]), /Cannot unlock account 1/);
+
+        const { accounts } = JSON.parse(await fs.readFile(KEYSTORE_PATH, 'utf8'));
+        assert.equal(accounts.length, 1);
+    });
+
+    test('reports an unreadable accounts.json', async () => {
+        await fs.writeFile(ACCOUNTS_PATH, '{ not json');
+        await assert.rejects(COMMANDS.import(['import']), /Cannot read accounts\.json/);
+    });
+});
+
+describe('unlockAccounts()', () => {
+    test('round-trips the private keys with the right passphrase', async () => {
+        await importWith('pass-1', [{ privateKey: wallets[0].privateKey, proxy: 'socks5://127.0.0.1:1080' }, { privateKey: wallets[1].privateKey }]);
+
+        const accounts = await unlockAccounts('pass-1');
+        assert.deepEqual(accounts.map(a => a.privateKey), wallets.map(w => w.privateKey));
+        assert.deepEqual(accounts.map(a => a.address), wallets.map(w => w.address));
+        assert.equal(accounts[0].proxy, 'socks5://127.0.0.1:1080');
+    });
+
+    test('names the account that a wrong passphrase cannot open', async () => {
+        await importWith('pass-1', [{ privateKey: wallets[0].privateKey }]);
+        await assert.rejects(unlockAccounts('wrong'), new RegExp(`Cannot unlock account 1 \\(${wallets[0].address}\\): incorrect password`));
+    });
+});
@@ -0,0 +1,140 @@
+import http from 'http';
+import { ethers } from 'ethers';
+
+// Local stand-in for https://4bsc.ai implementing the endpoints from config.json.
+// Faults can be queued per path with fail(); every request is recorded in `requests`.
+export async function startApiServer(endpoints) {
+    const state = {
+        nonces: new Map(),
+        tokens: new Map(),
+        invalidTokenMode: 'token_invalid', // or 'status_401'
+        daily: { is_create_request: false, is_create_agent: false },
+        flagOnCreate: true, // false: create* leave the daily flags alone (flip them from the chain side instead)
+        farmTasks: [
+            { id: 1, name: 'Farm A', is_finish: false },
+            { id: 2, name: 'Farm B', is_finish: true }
+        ],
+        userInfo: { points: 100, rank: 42 },
+        overallStats: { request_count: 3, agent_count: 2 },
+        leaderboard: [],
+        nextId: 1000,
+        onRequest: null // ({ path, body }) => void, called as each request arrives
+    };
+    const faults = new Map();
+    const requests = [];
+
+    const ok = (data) => ({ code: 0, message: 'success', data });
+
+    const handlers = {
+        [endpoints.loginWallet]: ({ body }) => {
+            const nonce = `Sign in to 4BSC: ${Math.random().toString(36).slice(2)}`;
+            state.nonces.set(String(body.addr).toLowerCase(), nonce);
+            return ok({ nonce });
+        },
+        [endpoints.authWallet]: ({ body }) => {
+            const addr = String(body.addr).toLowerCase();
+            const expected = state.nonces.get(addr);
+            if (!expected || expected !== body.nonce) return { code: 1001, message: 'NONCE_INVALID' };
+            if (ethers.verifyMessage(body.nonce, body.signature).toLowerCase() !== addr) return { code: 1002, message: 'SIGNATURE_INVALID' };
+            state.nonces.delete(addr);
+            const token = `jwt-${Math.random().toString(36).slice(2)}`;
+            state.tokens.set(token, addr);
+            return ok({ token });
+        },
+        [endpoints.verifyDailyTask]: () => ok({ ...state.daily }),
+        [endpoints.createRequest]: ({ body }) => {
+            if (!body.title) return { code: 2001, message: 'TITLE_REQUIRED' };
+            if (state.flagOnCreate) state.daily.is_create_request = true;
+            return ok({ id: state.nextId++ });
+        },
+        [endpoints.createRepositories]: ({ body }) => {
+            if (!body.name) return { code: 2002, message: 'NAME_REQUIRED' };
+            if (state.flagOnCreate) state.daily.is_create_agent = true;
+            return ok({ id: state.nextId++ });
+        },
+        [endpoints.farmTask]: () => ok({ list: state.farmTasks.map(t => ({ ...t })) }),
+        [endpoints.farm]: ({ body }) => {
+            const task = state.farmTasks.find(t => t.id === body.task_id);
+            if (!task) return { code: 3001, message: 'TASK_NOT_FOUND' };
+            task.farmed = true;
+            return ok({});
+        },
+        [endpoints.finishTask]: ({ body }) => {
+            const task = state.farmTasks.find(t => t.id === body.task_id);
+            if (!task?.farmed) return { code: 3002, message: 'TASK_NOT_FARMED' };
+            task.is_finish = true;
+            return ok({});
+        },
+        [endpoints.userInfo]: () => ok({ ...state.userInfo }),
+        [endpoints.overallStats]: () => ok({ ...state.overallStats }),
+        [endpoints.leaderboard]: () => ok({ list: state.leaderboard })
+    };
+    const publicPaths = new Set([endpoints.loginWallet, endpoints.authWallet]);
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const path = req.url.split('?')[0];
+            let body = {};
+            try { body = raw ? JSON.parse(raw) : {}; } catch (e) { body = {}; }
+            requests.push({ method: req.method, path, body, headers: req.headers });
+            state.onRequest?.({ path, body });
+
+            const send = (status, payload, headers = {}) => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(payload));
+            };
+
+            const queue = faults.get(path);
+            const fault = queue?.shift();
+            if (fault) {
+                if (fault.type === 'network') return req.socket.destroy();
+                if (fault.type === 'status') return send(fault.status, fault.body || { code: fault.status, message: 'error' }, fault.headers);
+                if (fault.type === 'token_invalid') return send(200, { code: 401, message: 'TOKEN_INVALID' });
+                if (fault.type === 'body') return send(200, fault.body);
+            }
+
+            const handler = handlers[path];
+            if (!handler) return send(404, { code: 404, message: 'NOT_FOUND' });
+
+            if (!publicPaths.has(path)) {
+                const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+                if (!state.tokens.has(token)) {
+                    return state.invalidTokenMode === 'status_401'
+                        ? send(401, { code: 401, message: 'Unauthorized' })
+                        : send(200, { code: 401, message: 'TOKEN_INVALID' });
+                }
+            }
+
+            send(200, handler({ body, req }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        requests,
+        // type: 'network' | 'status' (with status, optional headers) | 'token_invalid' | 'body' (with body)
+        fail(path, fault, times = 1) {
+            if (!faults.has(path)) faults.set(path, []);
+            for (let i = 0; i < times; i++) faults.get(path).push(fault);
+        },
+        callsTo(path) { return requests.filter(r => r.path === path); },
+        // Extra (authenticated) endpoint, e.g. for a task defined in a test; handler({ body, req }) -> payload
+        on(path, handler) { handlers[path] = handler; },
+        off(path) { delete handlers[path]; },
+        revokeTokens() { state.tokens.clear(); },
+        reset() {
+            requests.length = 0;
+            faults.clear();
+            state.onRequest = null;
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
@@ -0,0 +1,44 @@
+// Settings the client/command tests depend on. They are pinned over whatever config.json and .env
+// (SIPAL__* overrides) resolved to, so a local config cannot change what the tests see.
+export const TEST_CONFIG = {
+    retryAttempts: 5,
+    retryDelay: 50,
+    retryMaxDelayMs: 60000,
+    txRetryAttempts: 3,
+    timeouts: { httpMs: 10000, rpcMs: 10000, txSendMs: 10000, txRetryDelayMs: 50, notifyMs: 1000 },
+    delays: { afterCreateMs: 0, farmStepMs: 0, betweenAccountsMs: 0 },
+    loopInterval: 24 * 60 * 60 * 1000,
+    concurrency: 1,
+    accountTimeoutMs: 600000,
+    schedule: { cron: '', timezone: '', retryDelayMs: 60 * 60 * 1000, maxTimerMs: 60000 },
+    dailyReset: { enabled: true, resetTime: '00:00', timezone: 'UTC', jitterMs: 30 * 60 * 1000, fromServer: true },
+    tasks: { custom: [], plugins: [] },
+    historyLimit: 5000,
+    resumeMaxAttempts: 5,
+    logging: { level: 'info', format: 'pretty', file: { enabled: false } },
+    statusApi: { enabled: false },
+    notifications: { sinks: [] },
+    circuitBreaker: { enabled: true, accountThreshold: 3, fleetThreshold: 3, cooldownMs: 15 * 60 * 1000 },
+    session: { cache: true, fallbackTtlMs: 6 * 60 * 60 * 1000, refreshMarginMs: 5 * 60 * 1000 },
+    confirmation: { enabled: true, serverChecks: 3, serverCheckDelayMs: 10 },
+    gasPolicy: { maxGasPriceGwei: 3, minBalanceBnb: 0.0005, maxSpendPerRunBnb: 0.01, maxSpendPerDayBnb: 0.02, fallbackGasLimit: 300000 },
+    pendingTx: { waitTimeoutMs: 60000, pollIntervalMs: 3000, replaceMode: 'speedup', gasBumpPercent: 15, maxReplacements: 2, droppedAfterPolls: 3 }
+};
+
+// Sets TEST_CONFIG plus `config` on CONFIG and `bsc` on BSC_CONFIG (mutated in place: index.js holds
+// these objects). Returns a function that puts the previous values back.
+export function pinConfig(CONFIG, BSC_CONFIG, { config = {}, bsc = {} } = {}) {
+    const restores = [apply(CONFIG, { ...TEST_CONFIG, ...config }), apply(BSC_CONFIG, { rpcUrls: [], ...bsc })];
+    return () => restores.forEach(restore => restore());
+}
+
+function apply(target, values) {
+    const saved = Object.keys(values).map(key => [key, Object.hasOwn(target, key), target[key]]);
+    Object.assign(target, structuredClone(values));
+    return () => {
+        for (const [key, had, value] of saved) {
+            if (had) target[key] = value;
+            else delete target[key];
+        }
+    };
+}
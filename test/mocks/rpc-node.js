@@ -0,0 +1,164 @@
+import http from 'http';
+import { ethers } from 'ethers';
+
+// Minimal BSC JSON-RPC stand-in: enough for ethers v6 Wallet.estimateGas / sendTransaction / wait.
+// Broadcast txs are mined instantly unless mode.receipt is 'none' (then mine() them by hand);
+// `mode` switches estimateGas/send/receipt behaviour; contract calls emit a stand-in event carrying
+// the submitted ID (first calldata word) as topic 1 unless mode.logs is 'none'.
+export async function startRpcNode({ chainId = 56 } = {}) {
+    const state = {
+        blockNumber: 1000,
+        gasPrice: 1_000_000_000n,
+        balance: ethers.parseEther('1'),
+        gasUsed: 50000n,
+        blockAgeSec: 0,           // age of the latest block's timestamp
+        onMine: null,             // (tx, status) => void, called for every mined tx
+        lookupMisses: 0,          // the next N eth_getTransactionByHash calls answer null (a lagging load-balanced node)
+        nonces: new Map(),        // next nonce including mempool ('pending')
+        minedNonces: new Map(),   // next nonce of mined txs ('latest')
+        txs: new Map(),
+        receipts: new Map(),
+        mode: {
+            estimate: 'ok',       // 'ok' | 'revert' | 'error'
+            send: 'ok',           // 'ok' | 'error'
+            receipt: 'success',   // 'success' | 'failed' | 'none'
+            logs: 'id'            // 'id' | 'none'
+        }
+    };
+    const calls = [];
+    const hex = (v) => ethers.toQuantity(v);
+
+    const blockHash = (n) => ethers.keccak256(ethers.toUtf8Bytes(`block-${n}`));
+    const SUBMITTED_TOPIC = ethers.id('Submitted(uint256,address)');
+
+    function eventLogs(hash, tx, n) {
+        if (state.mode.logs === 'none' || !tx.data || tx.data.length < 74) return [];
+        return [{
+            address: tx.to, topics: [SUBMITTED_TOPIC, '0x' + tx.data.slice(10, 74), ethers.zeroPadValue(tx.from, 32)], data: '0x',
+            blockNumber: hex(n), blockHash: blockHash(n), transactionHash: hash, transactionIndex: '0x0', logIndex: '0x0', removed: false
+        }];
+    }
+
+    function makeBlock(n) {
+        return {
+            number: hex(n), hash: blockHash(n), parentHash: blockHash(n - 1), timestamp: hex(Math.floor(Date.now() / 1000) - state.blockAgeSec),
+            nonce: '0x0000000000000000', difficulty: '0x2', gasLimit: hex(140_000_000), gasUsed: '0x0',
+            miner: ethers.ZeroAddress, extraData: '0x', baseFeePerGas: '0x0', transactions: []
+        };
+    }
+
+    // Mines a broadcast tx into a new block; other txs with the same sender+nonce are evicted
+    function mine(hash, status = 1) {
+        const entry = state.txs.get(hash);
+        const { tx } = entry;
+        const from = tx.from.toLowerCase();
+        for (const [other, e] of state.txs) {
+            if (other !== hash && e.tx.from.toLowerCase() === from && e.tx.nonce === tx.nonce && !state.receipts.has(other)) state.txs.delete(other);
+        }
+        state.blockNumber++;
+        entry.blockNumber = state.blockNumber;
+        state.minedNonces.set(from, Math.max(state.minedNonces.get(from) || 0, tx.nonce + 1));
+        state.receipts.set(hash, {
+            transactionHash: hash, transactionIndex: '0x0', blockHash: blockHash(state.blockNumber),
+            blockNumber: hex(state.blockNumber), from: tx.from, to: tx.to, contractAddress: null,
+            gasUsed: hex(state.gasUsed), cumulativeGasUsed: hex(state.gasUsed), effectiveGasPrice: hex(tx.gasPrice ?? state.gasPrice),
+            logs: status ? eventLogs(hash, tx, state.blockNumber) : [], logsBloom: '0x' + '00'.repeat(256), type: hex(tx.type ?? 0),
+            status: status ? '0x1' : '0x0'
+        });
+        state.onMine?.(tx, status);
+    }
+
+    const handlers = {
+        eth_chainId: () => hex(chainId),
+        net_version: () => String(chainId),
+        eth_blockNumber: () => hex(state.blockNumber),
+        eth_getBlockByNumber: ([tag]) => makeBlock(tag === 'latest' || tag === 'pending' ? state.blockNumber : Number(tag)),
+        eth_gasPrice: () => hex(state.gasPrice),
+        eth_maxPriorityFeePerGas: () => hex(state.gasPrice),
+        eth_getBalance: () => hex(state.balance),
+        eth_getTransactionCount: ([addr, tag]) => hex((tag === 'pending' ? state.nonces : state.minedNonces).get(addr.toLowerCase()) || 0),
+        eth_estimateGas: () => {
+            if (state.mode.estimate === 'revert') throw { code: 3, message: 'execution reverted', data: '0x' };
+            if (state.mode.estimate === 'error') throw { code: -32000, message: 'upstream timeout' };
+            return hex(state.gasUsed);
+        },
+        eth_call: () => {
+            if (state.mode.estimate === 'revert') throw { code: 3, message: 'execution reverted', data: '0x' };
+            return '0x';
+        },
+        eth_sendRawTransaction: ([raw]) => {
+            if (state.mode.send === 'error') throw { code: -32000, message: 'txpool is full' };
+            const tx = ethers.Transaction.from(raw);
+            const from = tx.from.toLowerCase();
+            state.nonces.set(from, Math.max(state.nonces.get(from) || 0, tx.nonce + 1));
+            state.txs.set(tx.hash, { tx, blockNumber: null });
+            if (state.mode.receipt !== 'none') mine(tx.hash, state.mode.receipt === 'failed' ? 0 : 1);
+            return tx.hash;
+        },
+        eth_getTransactionReceipt: ([hash]) => state.receipts.get(hash) || null,
+        eth_getTransactionByHash: ([hash]) => {
+            if (state.lookupMisses > 0) {
+                state.lookupMisses--;
+                return null;
+            }
+            const entry = state.txs.get(hash);
+            if (!entry) return null;
+            const { tx, blockNumber } = entry;
+            const mined = state.receipts.has(hash);
+            return {
+                hash, from: tx.from, to: tx.to, nonce: hex(tx.nonce), gas: hex(tx.gasLimit), value: hex(tx.value), input: tx.data,
+                gasPrice: hex(tx.gasPrice ?? state.gasPrice), maxFeePerGas: tx.maxFeePerGas != null ? hex(tx.maxFeePerGas) : undefined,
+                maxPriorityFeePerGas: tx.maxPriorityFeePerGas != null ? hex(tx.maxPriorityFeePerGas) : undefined,
+                type: hex(tx.type ?? 0), chainId: hex(chainId), v: hex(tx.signature.v), r: tx.signature.r, s: tx.signature.s,
+                blockNumber: mined ? hex(blockNumber) : null, blockHash: mined ? blockHash(blockNumber) : null, transactionIndex: mined ? '0x0' : null
+            };
+        }
+    };
+
+    function handle({ id, method, params = [] }) {
+        calls.push({ method, params });
+        const handler = handlers[method];
+        if (!handler) return { jsonrpc: '2.0', id, error: { code: -32601, message: `method ${method} not found` } };
+        try {
+            return { jsonrpc: '2.0', id, result: handler(params) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error };
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const payload = JSON.parse(raw);
+            const result = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        calls,
+        mine,
+        // Every tx ever broadcast, in order (replaced ones included)
+        sent() { return calls.filter(c => c.method === 'eth_sendRawTransaction').map(c => ethers.Transaction.from(c.params[0])); },
+        drop(hash) { state.txs.delete(hash); },
+        countOf(method) { return calls.filter(c => c.method === method).length; },
+        reset() {
+            calls.length = 0;
+            state.txs.clear();
+            state.receipts.clear();
+            state.onMine = null;
+            state.lookupMisses = 0;
+            state.mode = { estimate: 'ok', send: 'ok', receipt: 'success', logs: 'id' };
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
@@ -0,0 +1,96 @@
+import { test, describe, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Notifier } from '../index.js';
+
+const ADDR = '0x14791697260E4c9A71f18484C9f997B308e59325';
+let server;
+let url;
+let received;
+let failNext = false;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, body: JSON.parse(raw) });
+            res.writeHead(failNext ? 500 : 200, { 'Content-Type': 'application/json' });
+            failNext = false;
+            res.end('{"ok":true}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => { received = []; });
+
+const failed = { success: false, status: 'Login Failed', error: 'SIGNATURE_INVALID' };
+
+describe('Notifier', () => {
+    test('batches all events of a cycle into one webhook message', async () => {
+        const notifier = new Notifier({ sinks: [{ type: 'webhook', url: `${url}/hook` }] });
+        notifier.accountResult(1, ADDR, failed, 1);
+        notifier.accountResult(2, ADDR, { success: false, lowBalance: true, status: 'Low Balance', error: 'Balance 0.0 BNB' }, 1);
+        notifier.emit('cycle_summary', { reason: 'due', ran: 2, succeeded: 0, failed: 2, points: 0, gasBnb: '0.0' });
+        await notifier.flush();
+
+        assert.equal(received.length, 1);
+        assert.deepEqual(received[0].body.events.map(e => e.type), ['account_failure', 'low_balance', 'cycle_summary']);
+        assert.match(received[0].body.text, /Acc 1 .* Login Failed: SIGNATURE_INVALID/);
+    });
+
+    test('sends each sink only the events it subscribed to, Telegram via sendMessage', async () => {
+        const notifier = new Notifier({
+            sinks: [
+                { type: 'telegram', apiUrl: url, botToken: 'T0KEN', chatId: '42', events: ['repeated_failures'] },
+                { type: 'webhook', url: `${url}/off`, enabled: false }
+            ],
+            failureThreshold: 3
+        });
+        notifier.accountResult(1, ADDR, failed, 2);
+        await notifier.flush();
+        assert.equal(received.length, 0);
+
+        notifier.accountResult(1, ADDR, failed, 3);
+        await notifier.flush();
+        assert.equal(received.length, 1);
+        assert.equal(received[0].path, '/botT0KEN/sendMessage');
+        assert.equal(received[0].body.chat_id, '42');
+        assert.match(received[0].body.text, /failed 3 runs in a row/);
+    });
+
+    test('holds events back within minIntervalMs and sends them with the next message', async () => {
+        const notifier = new Notifier({ sinks: [{ type: 'webhook', url, minIntervalMs: 60_000 }] });
+        notifier.accountResult(1, ADDR, failed, 1);
+        await notifier.flush();
+        notifier.accountResult(2, ADDR, failed, 1);
+        await notifier.flush();
+        assert.equal(received.length, 1);
+
+        notifier.sinks[0].lastSent = 0;
+        notifier.emit('cycle_summary', { reason: 'due', ran: 1, succeeded: 1, failed: 0, points: 1, gasBnb: '0.0' });
+        await notifier.flush();
+        assert.equal(received.length, 2);
+        assert.deepEqual(received[1].body.events.map(e => e.type), ['account_failure', 'cycle_summary']);
+    });
+
+    test('a failing sink is reported without the bot token and does not throw', async () => {
+        const lines = mock.method(console, 'log', () => {});
+        const notifier = new Notifier({ sinks: [{ type: 'telegram', apiUrl: url, botToken: 'SECRET-BOT-TOKEN', chatId: '1' }] });
+        failNext = true;
+        notifier.accountResult(1, ADDR, failed, 1);
+        await notifier.flush();
+        lines.mock.restore();
+
+        assert.equal(lines.mock.callCount(), 1);
+        assert.match(lines.mock.calls[0].arguments[0], /TelegramSink failed: HTTP 500/);
+        assert.doesNotMatch(lines.mock.calls[0].arguments[0], /SECRET-BOT-TOKEN/);
+    });
+});
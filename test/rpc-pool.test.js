@@ -0,0 +1,120 @@
+import { test, describe, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { RpcPool, METRICS } from '../index.js';
+import { startRpcNode } from './mocks/rpc-node.js';
+
+const PK = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const DEAD_URL = 'http://127.0.0.1:1';
+let nodeA;
+let nodeB;
+const pools = [];
+
+function newPool(urls, policy = {}) {
+    const pool = new RpcPool(urls, 56, { requestTimeoutMs: 2000, ...policy });
+    pools.push(pool);
+    return pool;
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    nodeA = await startRpcNode({ chainId: 56 });
+    nodeB = await startRpcNode({ chainId: 56 });
+});
+
+after(async () => {
+    pools.forEach(p => p.destroy());
+    await nodeA.close();
+    await nodeB.close();
+    mock.restoreAll();
+});
+
+beforeEach(() => {
+    nodeA.reset();
+    nodeB.reset();
+    nodeA.state.blockAgeSec = 0;
+    nodeB.state.blockAgeSec = 0;
+});
+
+describe('checkHealth()', () => {
+    test('reports chain ID, block age and latency and flags bad endpoints', async () => {
+        const wrongChain = await startRpcNode({ chainId: 97 });
+        try {
+            nodeB.state.blockAgeSec = 600;
+            const pool = newPool([nodeA.url, nodeB.url, wrongChain.url, DEAD_URL], { maxBlockAgeSec: 60 });
+            const report = await pool.checkHealth();
+
+            assert.equal(report[0].healthy, true);
+            assert.equal(report[0].blockNumber, nodeA.state.blockNumber);
+            assert.ok(report[0].latencyMs >= 0);
+            assert.match(report[1].problem, /^stale block \(60\ds old\)$/);
+            assert.equal(report[2].chainOk, false);
+            assert.match(report[2].problem, /wrong chain 97/);
+            assert.equal(report[3].healthy, false);
+            assert.equal(report[3].chainOk, null);
+
+            // Wrong chain is never a candidate; unhealthy ones are kept as a last resort
+            assert.deepEqual(pool.candidates().map(e => e.label), [report[0].label, report[1].label, report[3].label]);
+            assert.match(METRICS.render(), new RegExp(`sipal_rpc_up\\{endpoint="${report[2].label}"\\} 0`));
+        } finally {
+            await wrongChain.close();
+        }
+    });
+});
+
+describe('failover', () => {
+    test('moves to the next endpoint when one is unreachable and puts it on cooldown', async () => {
+        const pool = newPool([DEAD_URL, nodeA.url]);
+        assert.equal(await pool.getBlockNumber(), nodeA.state.blockNumber);
+        assert.equal(pool.active.label, new URL(nodeA.url).host);
+        assert.ok(pool.endpoints[0].downUntil > Date.now());
+
+        // While the dead endpoint cools down it is not tried first
+        await pool.getBlockNumber();
+        assert.equal(nodeA.countOf('eth_blockNumber'), 2);
+    });
+
+    test('fails over on rate-limit style RPC errors but not on reverts', async () => {
+        const pool = newPool([nodeA.url, nodeB.url]);
+        const tx = { to: ethers.ZeroAddress, data: '0x' };
+
+        nodeA.state.mode.estimate = 'error'; // "upstream timeout"
+        assert.equal(await pool.estimateGas(tx), nodeB.state.gasUsed);
+
+        nodeB.state.mode.estimate = 'revert';
+        nodeA.state.mode.estimate = 'revert';
+        pool.endpoints.forEach(e => { e.downUntil = 0; });
+        await assert.rejects(pool.estimateGas(tx), /execution reverted/);
+        assert.equal(nodeA.countOf('eth_estimateGas') + nodeB.countOf('eth_estimateGas'), 3);
+    });
+
+    test('surfaces the error when every endpoint is down', async () => {
+        const pool = newPool([DEAD_URL]);
+        await assert.rejects(pool.getBlockNumber(), /ECONNREFUSED/);
+    });
+});
+
+describe('receipt quorum', () => {
+    test('a receipt counts only once enough endpoints agree on it', async () => {
+        const pool = newPool([nodeA.url, nodeB.url], { receiptQuorum: 2 });
+        await pool.checkHealth();
+        const wallet = new ethers.Wallet(PK, pool);
+        const sent = await wallet.sendTransaction({ to: wallet.address, value: 0n, gasLimit: 21000n, gasPrice: 1_000_000_000n, type: 0 });
+
+        // Only the endpoint that took the tx knows it yet
+        assert.equal(await pool.getTransactionReceipt(sent.hash), null);
+
+        nodeB.state.receipts.set(sent.hash, nodeA.state.receipts.get(sent.hash));
+        const receipt = await pool.getTransactionReceipt(sent.hash);
+        assert.equal(receipt.hash, sent.hash);
+        assert.equal(receipt.status, 1);
+    });
+
+    test('is capped at the number of endpoints that are up', async () => {
+        const pool = newPool([nodeA.url, DEAD_URL], { receiptQuorum: 2 });
+        await pool.checkHealth();
+        const wallet = new ethers.Wallet(PK, pool);
+        const sent = await wallet.sendTransaction({ to: wallet.address, value: 0n, gasLimit: 21000n, gasPrice: 1_000_000_000n, type: 0 });
+        assert.equal((await pool.getTransactionReceipt(sent.hash)).status, 1);
+    });
+});
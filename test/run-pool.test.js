@@ -0,0 +1,30 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPool } from '../index.js';
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('runPool()', () => {
+    test('never runs more than `limit` workers at once and keeps result order', async () => {
+        let active = 0;
+        let peak = 0;
+        const results = await runPool([30, 5, 20, 1, 10], 2, async (ms, i) => {
+            active++;
+            peak = Math.max(peak, active);
+            await wait(ms);
+            active--;
+            return i;
+        });
+        assert.equal(peak, 2);
+        assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    });
+
+    test('a slow item does not hold back the others', async () => {
+        const order = [];
+        await runPool([200, 1, 1, 1], 2, async (ms, i) => {
+            await wait(ms);
+            order.push(i);
+        });
+        assert.deepEqual(order, [1, 2, 3, 0]);
+    });
+});
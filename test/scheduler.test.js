@@ -0,0 +1,164 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { Scheduler, WalletDB, CONFIG, effectiveDueTime, lastDailyReset, nextRunAfterSuccess, accountDueTime, parseServerReset } from '../index.js';
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const at = (h, m) => new Date(2026, 0, 15, h, m).getTime();
+
+describe('effectiveDueTime()', () => {
+    test('keeps the cooldown end when there is no window or it falls inside the window', () => {
+        assert.equal(effectiveDueTime(at(9, 0), undefined, at(8, 0)), at(9, 0));
+        assert.equal(effectiveDueTime(at(9, 0), '08:00-10:00', at(8, 0)), at(9, 0));
+    });
+
+    test('moves the run to the next window start', () => {
+        assert.equal(effectiveDueTime(at(11, 0), '08:00-10:00', at(8, 0)), at(8, 0) + 24 * 60 * 60 * 1000);
+        assert.equal(effectiveDueTime(at(5, 0), '08:00-10:00', at(6, 0)), at(8, 0));
+    });
+
+    test('handles windows that wrap past midnight', () => {
+        assert.equal(effectiveDueTime(at(1, 0), '22:00-02:00', at(0, 30)), at(1, 0));
+        assert.equal(effectiveDueTime(at(3, 0), '22:00-02:00', at(0, 30)), at(22, 0));
+    });
+});
+
+describe('daily reset', () => {
+    const HOUR = 60 * 60 * 1000;
+    const ADDR = '0x14791697260E4c9A71f18484C9f997B308e59325';
+    const utc = (d, h, m = 0) => Date.UTC(2026, 0, d, h, m);
+    const saved = CONFIG.dailyReset;
+    after(() => { CONFIG.dailyReset = saved; });
+
+    test('finds the last reset on the wall clock of the configured time zone', () => {
+        assert.equal(lastDailyReset(utc(15, 10), { resetTime: '00:00', timezone: 'UTC' }), utc(15, 0));
+        // 00:00 in Jakarta (UTC+7) is 17:00 UTC of the previous day
+        assert.equal(lastDailyReset(utc(15, 10), { resetTime: '00:00', timezone: 'Asia/Jakarta' }), utc(14, 17));
+        assert.equal(lastDailyReset(utc(14, 16), { resetTime: '00:00', timezone: 'Asia/Jakarta' }), utc(13, 17));
+        assert.equal(lastDailyReset(utc(15, 8, 29), { resetTime: '08:30', timezone: 'UTC' }), utc(14, 8, 30));
+    });
+
+    test('a server-reported reset repeats every 24h', () => {
+        assert.equal(lastDailyReset(utc(15, 10), { anchor: utc(20, 2) }), utc(15, 2));
+        assert.equal(parseServerReset({ next_reset_time: utc(16, 0) / 1000 }, utc(15, 10)), utc(16, 0));
+        assert.equal(parseServerReset({ next_reset_time: utc(1, 0) / 1000 }, utc(15, 10)), null, 'past values are ignored');
+        assert.equal(parseServerReset({}, utc(15, 10)), null);
+    });
+
+    test('schedules the next run at the next reset plus a stable per-account jitter', () => {
+        CONFIG.dailyReset = { enabled: true, resetTime: '00:00', timezone: 'UTC', jitterMs: HOUR };
+        const db = new WalletDB(null);
+        const next = nextRunAfterSuccess(db, ADDR, utc(15, 10));
+        assert.ok(next >= utc(16, 0) && next < utc(16, 1), `${new Date(next).toISOString()} is within the jitter window`);
+        assert.equal(nextRunAfterSuccess(db, ADDR, utc(15, 23)), next, 'same slot whenever the run ends that day');
+
+        CONFIG.dailyReset = { enabled: false };
+        assert.equal(nextRunAfterSuccess(db, ADDR, utc(15, 10)), utc(15, 10) + CONFIG.loopInterval);
+    });
+
+    test('an account whose last run was before the current reset is due in this reset slot', async () => {
+        CONFIG.dailyReset = { enabled: true, resetTime: '00:00', timezone: 'UTC', jitterMs: 0 };
+        const db = new WalletDB(null);
+        // Rolling 24h cooldown from yesterday 20:00 would wait until tonight
+        await db.recordRun({ account: 1, address: ADDR, startedAt: utc(14, 19), endedAt: utc(14, 20), status: 'Work Done', success: true, tasks: [] });
+        await db.updateNextRunTime(ADDR, utc(15, 20));
+        assert.equal(accountDueTime(db, ADDR, utc(15, 10)), utc(15, 0));
+
+        // Ran after today's reset: its own cooldown stands
+        await db.recordRun({ account: 1, address: ADDR, startedAt: utc(15, 1), endedAt: utc(15, 2), status: 'Failed', success: false, tasks: [] });
+        await db.updateNextRunTime(ADDR, utc(15, 3));
+        assert.equal(accountDueTime(db, ADDR, utc(15, 10)), utc(15, 3));
+    });
+
+    test('an account migrated from the flat v1 file counts as having run before the current reset', async () => {
+        CONFIG.dailyReset = { enabled: true, resetTime: '00:00', timezone: 'UTC', jitterMs: 0 };
+        const dir = await fs.mkdtemp(join(os.tmpdir(), 'sipal-sched-'));
+        try {
+            const path = join(dir, 'wallet_db.json');
+            // v1 kept only a rolling 24h cooldown: ran yesterday 20:00, next run tonight 20:00
+            await fs.writeFile(path, JSON.stringify({ [ADDR.toLowerCase()]: utc(15, 20) }));
+            const db = await WalletDB.open(path);
+            assert.equal(accountDueTime(db, ADDR, utc(15, 10)), utc(15, 0));
+
+            // Once it has run under the new layout its own cooldown stands
+            await db.recordRun({ account: 1, address: ADDR, startedAt: utc(15, 1), endedAt: utc(15, 2), status: 'Failed', success: false, tasks: [] });
+            await db.updateNextRunTime(ADDR, utc(15, 3));
+            assert.equal(accountDueTime(db, ADDR, utc(15, 10)), utc(15, 3));
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Scheduler', () => {
+    before(() => mock.method(console, 'log', () => {}));
+    after(() => mock.restoreAll());
+
+    test('runs on startup, then wakes exactly when the next account is due', async () => {
+        const reasons = [];
+        let due = null;
+        const scheduler = new Scheduler({
+            runCycle: async (reason) => { reasons.push(reason); due = null; },
+            nextDueTime: () => due && { time: due, account: 1 }
+        });
+        await scheduler.start();
+        assert.deepEqual(reasons, ['startup']);
+
+        due = Date.now() + 80;
+        scheduler.arm();
+        await wait(40);
+        assert.deepEqual(reasons, ['startup']);
+        await wait(100);
+        assert.deepEqual(reasons, ['startup', 'due']);
+        scheduler.stop();
+    });
+
+    test('coalesces triggers that arrive during a cycle into one follow-up run', async () => {
+        let runs = 0;
+        const scheduler = new Scheduler({
+            runCycle: async () => { runs++; await wait(30); },
+            nextDueTime: () => null
+        });
+        const first = scheduler.trigger('startup');
+        scheduler.trigger('cron');
+        scheduler.trigger('cron');
+        await first;
+        assert.equal(runs, 2);
+        scheduler.stop();
+    });
+
+    test('stop() lets the running cycle finish but arms and triggers nothing afterwards', async () => {
+        const reasons = [];
+        let nextDueCalls = 0;
+        const scheduler = new Scheduler({
+            runCycle: async (reason) => { reasons.push(reason); await wait(30); },
+            nextDueTime: () => { nextDueCalls++; return { time: Date.now() + 10, account: 1 }; }
+        });
+        const running = scheduler.trigger('startup');
+        scheduler.stop();
+        await running;
+        await scheduler.trigger('cron');
+        await wait(30);
+        assert.deepEqual(reasons, ['startup']);
+        assert.equal(nextDueCalls, 0);
+        assert.equal(scheduler.timer, null);
+    });
+
+    test('a timer that fires far too late (sleep / clock jump) triggers a single check', async () => {
+        const reasons = [];
+        const scheduler = new Scheduler({
+            runCycle: async (reason) => { reasons.push(reason); },
+            nextDueTime: () => null,
+            maxTimerMs: 20
+        });
+        scheduler.armSlice(Date.now() + 10 * 60 * 1000);
+        // Block the event loop past the slice, as a suspended process would
+        const until = Date.now() + 80;
+        while (Date.now() < until) { /* busy wait */ }
+        await wait(30);
+        assert.deepEqual(reasons, ['clock-jump']);
+        scheduler.stop();
+    });
+});
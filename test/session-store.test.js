@@ -0,0 +1,62 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { SessionStore } from '../index.js';
+
+const ADDR = '0x14791697260E4c9A71f18484C9f997B308e59325';
+const OTHER = '0x0000000000000000000000000000000000000001';
+const HOUR = 60 * 60 * 1000;
+let dir;
+let path;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(join(os.tmpdir(), 'sipal-sessions-'));
+    path = join(dir, 'tokens.json');
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('SessionStore', () => {
+    test('round-trips a token through an encrypted, owner-only file', async () => {
+        const store = await SessionStore.open(path, 'secret');
+        await store.set(ADDR, 'jwt-abc', Date.now() + HOUR);
+
+        const raw = await fs.readFile(path, 'utf8');
+        assert.ok(!raw.includes('jwt-abc'), 'token is not stored in plaintext');
+        assert.equal((await fs.stat(path)).mode & 0o777, 0o600);
+
+        const reopened = await SessionStore.open(path, 'secret');
+        assert.equal(reopened.get(ADDR).token, 'jwt-abc');
+        assert.equal(reopened.get(OTHER), null);
+    });
+
+    test('treats expired, nearly expired or undecryptable tokens as missing', async () => {
+        const store = await SessionStore.open(path, 'secret');
+        await store.set(ADDR, 'jwt-old', Date.now() - 1000);
+        assert.equal(store.get(ADDR), null);
+
+        // Inside the refresh margin (default 5 min) the token is not reused
+        await store.set(ADDR, 'jwt-soon', Date.now() + 60 * 1000);
+        assert.equal(store.get(ADDR), null);
+
+        await store.set(ADDR, 'jwt-abc', Date.now() + HOUR);
+        assert.equal((await SessionStore.open(path, 'wrong passphrase')).get(ADDR), null);
+
+        // Bound to its address: a blob copied onto another account does not decrypt
+        const data = JSON.parse(await fs.readFile(path, 'utf8'));
+        data.tokens[OTHER] = data.tokens[ADDR.toLowerCase()];
+        await fs.writeFile(path, JSON.stringify(data));
+        assert.equal((await SessionStore.open(path, 'secret')).get(OTHER), null);
+    });
+
+    test('remove() forgets the token', async () => {
+        const store = await SessionStore.open(path, 'secret');
+        await store.set(ADDR, 'jwt-abc', Date.now() + HOUR);
+        await store.remove(ADDR);
+        assert.equal((await SessionStore.open(path, 'secret')).get(ADDR), null);
+    });
+});
@@ -0,0 +1,82 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Metrics, METRICS, WalletDB, startStatusServer } from '../index.js';
+
+const ADDR = '0x14791697260E4c9A71f18484C9f997B308e59325';
+let server;
+let base;
+const cycle = { running: true, reason: 'due', total: 1, finished: 0, active: [1], last: null };
+let cycleError = null;
+
+before(async () => {
+    const db = new WalletDB(null);
+    await db.recordRun({
+        account: 1, address: ADDR, startedAt: 1_700_000_000_000, endedAt: 1_700_000_030_000,
+        status: 'Work Done', success: true, pointsBefore: 100, pointsAfter: 150, error: null,
+        tasks: [{ task: 'request', outcome: 'success', id: 7, txHash: '0xaa', feeWei: '1' }, { task: 'farm:1', outcome: 'success' }]
+    });
+    await db.updateNextRunTime(ADDR, 1_700_086_400_000);
+    server = await startStatusServer({ port: 0, accounts: [{ address: ADDR }], db, getCycle: () => { if (cycleError) throw cycleError; return cycle; } });
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('status API', () => {
+    test('/accounts reports next run, last status, points and last tx per account', async () => {
+        const [account] = await (await fetch(`${base}/accounts`)).json();
+        assert.equal(account.address, ADDR);
+        assert.equal(account.nextRun, new Date(1_700_086_400_000).toISOString());
+        assert.equal(account.lastStatus, 'Work Done');
+        assert.equal(account.points, 150);
+        assert.equal(account.lastTxHash, '0xaa');
+    });
+
+    test('/cycle returns the live cycle state', async () => {
+        const body = await (await fetch(`${base}/cycle`)).json();
+        assert.deepEqual(body.active, [1]);
+        assert.equal(body.running, true);
+    });
+
+    test('/metrics serves the Prometheus text format', async () => {
+        METRICS.inc('sipal_logins_total', { result: 'success' });
+        const res = await fetch(`${base}/metrics`);
+        assert.match(res.headers.get('content-type'), /^text\/plain/);
+        const text = await res.text();
+        assert.match(text, /# TYPE sipal_logins_total counter/);
+        assert.match(text, /sipal_logins_total\{result="success"\} \d+/);
+        assert.match(text, /^sipal_cycle_running \d$/m);
+    });
+
+    test('unknown paths and non-GET methods are rejected', async () => {
+        assert.equal((await fetch(`${base}/nope`)).status, 404);
+        assert.equal((await fetch(`${base}/accounts`, { method: 'POST' })).status, 405);
+    });
+
+    test('a failing handler answers 500 and the server keeps serving', async () => {
+        const logged = mock.method(console, 'log', () => {});
+        cycleError = new Error('cycle state unavailable');
+        try {
+            const res = await fetch(`${base}/cycle`);
+            assert.equal(res.status, 500);
+            assert.deepEqual(await res.json(), { error: 'Internal Server Error' });
+            assert.match(logged.mock.calls[0].arguments[0], /Status API GET \/cycle failed: cycle state unavailable/);
+        } finally {
+            cycleError = null;
+            logged.mock.restore();
+        }
+        assert.equal((await fetch(`${base}/health`)).status, 200);
+    });
+});
+
+describe('Metrics', () => {
+    test('renders counters and gauges with escaped labels', () => {
+        const metrics = new Metrics();
+        metrics.define('x_total', 'counter', 'Things');
+        metrics.define('y', 'gauge', 'Level', false);
+        metrics.inc('x_total');
+        metrics.inc('x_total', {}, 2);
+        metrics.set('y', 5, { name: 'a"b' });
+        assert.equal(metrics.render(), '# HELP x_total Things\n# TYPE x_total counter\nx_total 3\n# HELP y Level\n# TYPE y gauge\ny{name="a\\"b"} 5\n');
+    });
+});
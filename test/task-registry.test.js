@@ -0,0 +1,72 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { TASKS, registerTask, loadTasks, FUNCTION_SELECTORS } from '../index.js';
+
+const DATASET = {
+    key: 'dataset', label: 'Dataset', flag: 'is_create_dataset', endpoint: '/api/front/create/dataset',
+    body: { name: '$agentName', tag: [0], note: 'fixed' }, selector: '0x12345678', types: ['uint256', 'string'], args: ['$id', 'name']
+};
+
+afterEach(() => {
+    for (const key of Object.keys(TASKS)) if (!['request', 'agent'].includes(key)) delete TASKS[key];
+});
+
+describe('task registry', () => {
+    test('ships the Request and Agent tasks in order', () => {
+        assert.deepEqual(Object.keys(TASKS), ['request', 'agent']);
+        const { request, agent } = TASKS;
+        assert.equal(request.selector, FUNCTION_SELECTORS.SUBMIT_REQUEST);
+        assert.deepEqual(request.values(5, { title: 't' }), [5, 't']);
+
+        // The name/description sent to the API are the ones submitted on-chain
+        const params = agent.params();
+        const body = agent.body(params);
+        assert.deepEqual(agent.values(9, params), [9, body.name, body.description]);
+    });
+
+    test('turns a JSON definition into the same shape', () => {
+        const spec = registerTask({ ...DATASET, idPath: 'dataset.id' });
+        const params = spec.params();
+        assert.match(params.name, /^[A-Za-z0-9]+$/);
+        assert.deepEqual(params.tag, [0]);
+        assert.equal(params.note, 'fixed');
+        assert.deepEqual(spec.body(params), params);
+        assert.equal(spec.id({ dataset: { id: 12 } }), 12);
+        assert.deepEqual(spec.values(12, params), [12, params.name]);
+        assert.equal(spec.method, 'post');
+    });
+
+    test('rejects broken or duplicate definitions with every problem listed', () => {
+        assert.throws(() => registerTask({ ...DATASET, selector: '0x123', types: ['uint256', 'strng'], body: { name: '$nope' } }),
+            /Task "dataset": selector: .*; types: "strng" is not an ABI type; body: unknown generator\(s\) \$nope/);
+        assert.throws(() => registerTask({ ...DATASET, args: ['$id'] }), /args: 1 entries for 2 types/);
+        assert.throws(() => registerTask({ ...DATASET, key: 'farm' }), /reserved/);
+        assert.throws(() => registerTask({ ...DATASET, key: 'request' }), /Task "request" is already registered/);
+    });
+});
+
+describe('loadTasks()', () => {
+    test('registers config tasks, then plugin modules', async () => {
+        const dir = await fs.mkdtemp(join(os.tmpdir(), 'sipal-tasks-'));
+        try {
+            const plugin = join(dir, 'vote.mjs');
+            await fs.writeFile(plugin, `export default [{
+                key: 'vote', label: 'Vote', flag: 'is_vote', endpoint: '/api/front/vote',
+                params: () => ({ choice: 1 }), body: (p) => ({ option: p.choice }), id: (data) => data?.vote_id,
+                selector: '0xaabbccdd', types: ['uint256', 'uint8'], values: (id, p) => [id, p.choice]
+            }];\n`);
+
+            assert.deepEqual(await loadTasks({ custom: [DATASET], plugins: [plugin] }), ['dataset', 'vote']);
+            assert.deepEqual(Object.keys(TASKS), ['request', 'agent', 'dataset', 'vote']);
+            assert.equal(TASKS.vote.id({ vote_id: 3 }), 3);
+            assert.deepEqual(TASKS.vote.body(TASKS.vote.params()), { option: 1 });
+
+            await assert.rejects(loadTasks({ plugins: [join(dir, 'missing.mjs')] }), /Task plugin .*missing\.mjs/);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,124 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { WalletDB } from '../index.js';
+
+const ADDR = '0x14791697260E4c9A71f18484C9f997B308e59325';
+const OTHER = '0x0000000000000000000000000000000000000001';
+let dir;
+let dbPath;
+
+function run(overrides = {}) {
+    return {
+        account: 1, address: ADDR, startedAt: 1_700_000_000_000, endedAt: 1_700_000_030_000,
+        status: 'Work Done', success: true, pointsBefore: 100, pointsAfter: 150, error: null,
+        tasks: [
+            { task: 'request', outcome: 'success', id: 7, txHash: '0xaa', gasUsed: 50000, feeWei: '50000000000000' },
+            { task: 'agent', outcome: 'tx_failed', id: 8, txHash: '0xbb', gasUsed: 21000, feeWei: '21000000000000', error: 'Tx Reverted: No Reason' }
+        ],
+        ...overrides
+    };
+}
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(join(os.tmpdir(), 'sipal-db-'));
+    dbPath = join(dir, 'wallet_db.json');
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('WalletDB', () => {
+    test('open() awaits the load and migrates the legacy flat format', async () => {
+        await fs.writeFile(dbPath, JSON.stringify({ [ADDR.toLowerCase()]: 1234 }));
+        const db = await WalletDB.open(dbPath);
+        assert.equal(db.getNextRunTime(ADDR), 1234);
+        assert.equal(db.getNextRunTime(OTHER), 0);
+    });
+
+    test('saves atomically and reloads cooldowns and runs', async () => {
+        const db = await WalletDB.open(dbPath);
+        await Promise.all([db.updateNextRunTime(ADDR, 5000), db.recordRun(run())]);
+        assert.equal(existsSync(`${dbPath}.tmp`), false);
+
+        const reloaded = await WalletDB.open(dbPath);
+        assert.equal(reloaded.getNextRunTime(ADDR), 5000);
+        assert.equal(reloaded.getRuns().length, 1);
+        assert.equal(reloaded.data.accounts[ADDR.toLowerCase()].lastRun.pointsAfter, 150);
+    });
+
+    test('moves a corrupt file aside instead of overwriting it', async () => {
+        await fs.writeFile(dbPath, '{ not json');
+        const db = await WalletDB.open(dbPath);
+        assert.deepEqual(db.getRuns(), []);
+        const files = await fs.readdir(dir);
+        assert.ok(files.some(f => f.startsWith('wallet_db.json.corrupt-')));
+    });
+
+    test('treats valid JSON that is not an object as corrupt', async () => {
+        for (const content of ['null', '[]', '42']) {
+            await fs.writeFile(dbPath, content);
+            const db = await WalletDB.open(dbPath);
+            assert.deepEqual(db.getRuns(), []);
+            assert.equal(existsSync(dbPath), false, `${content} was moved aside`);
+        }
+    });
+
+    test('surfaces write errors to the caller', async () => {
+        const db = new WalletDB(join(dir, 'missing', 'wallet_db.json'));
+        await assert.rejects(db.updateNextRunTime(ADDR, 1), /ENOENT/);
+    });
+
+    test('filters runs by address and time range', async () => {
+        const db = await WalletDB.open(dbPath);
+        await db.recordRun(run());
+        await db.recordRun(run({ address: OTHER, startedAt: 1_700_100_000_000, endedAt: 1_700_100_010_000 }));
+
+        assert.equal(db.getRuns({ address: ADDR }).length, 1);
+        assert.equal(db.getRuns({ since: 1_700_050_000_000 })[0].address, OTHER);
+        assert.equal(db.getRuns({ until: 1_700_050_000_000 })[0].address, ADDR.toLowerCase());
+    });
+
+    test('keeps the cycle progress marker across restarts until the cycle finishes', async () => {
+        const db = await WalletDB.open(dbPath);
+        await db.startCycle({ startedAt: 1000, reason: 'due', accounts: [ADDR.toLowerCase(), OTHER], done: [] });
+        await db.markCycleDone(ADDR, 'Work Done');
+
+        const restarted = await WalletDB.open(dbPath);
+        assert.deepEqual(restarted.getCycle().done, [{ address: ADDR.toLowerCase(), status: 'Work Done' }]);
+        assert.deepEqual(restarted.getCycle().accounts, [ADDR.toLowerCase(), OTHER]);
+
+        await restarted.finishCycle();
+        assert.equal((await WalletDB.open(dbPath)).getCycle(), null);
+    });
+
+    test('counts consecutive failed runs per account', async () => {
+        const db = new WalletDB(null);
+        await db.recordRun(run({ success: false, startedAt: 1 }));
+        await db.recordRun(run({ success: true, startedAt: 2 }));
+        await db.recordRun(run({ success: false, startedAt: 3 }));
+        await db.recordRun(run({ success: false, startedAt: 4 }));
+        await db.recordRun(run({ address: OTHER, success: true, startedAt: 5 }));
+
+        assert.equal(db.getFailureStreak(ADDR), 2);
+        assert.equal(db.getFailureStreak(OTHER), 0);
+    });
+
+    test('exports history as CSV with one row per run', async () => {
+        const db = await WalletDB.open(dbPath);
+        await db.recordRun(run());
+        const out = join(dir, 'history.csv');
+        assert.equal(await db.exportRuns('csv', {}, out), 1);
+
+        const [header, row] = (await fs.readFile(out, 'utf8')).trim().split('\n');
+        assert.ok(header.startsWith('id,account,address'));
+        assert.ok(row.includes('request=success;agent=tx_failed'));
+        assert.ok(row.includes('request:7;agent:8'));
+        assert.ok(row.includes('0xaa;0xbb'));
+        assert.ok(row.includes(',71000,0.000071,'));
+    });
+});